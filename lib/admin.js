@@ -0,0 +1,350 @@
+/**
+ * Admin API (/__lb/admin): domain mappings, server overrides, maintenance, branding,
+ * cache invalidation and the audit log
+ */
+import { ADMIN_PATH, ADMIN_SIGNATURE_MAX_AGE, AUDIT_LOG_TTL } from './settings.js';
+import { hmacHex, jsonResponse, timingSafeEqual } from './util.js';
+import { MAINTENANCE_KEY, SERVER_OVERRIDES_KEY } from './health.js';
+import { BRAND_KEY_PREFIX, validateBrand } from './pages.js';
+
+// Bearer token, or HMAC-SHA256 over "<timestamp>.<METHOD>.<path+query>.<body>".
+// Returns the auth method used, or null if the request is not authorized.
+export async function authenticateAdmin(request, env, body) {
+  const auth = request.headers.get('Authorization') || '';
+  if (env.ADMIN_TOKEN && auth.startsWith('Bearer ') &&
+      timingSafeEqual(auth.slice(7), env.ADMIN_TOKEN)) {
+    return 'token';
+  }
+
+  const timestamp = request.headers.get('X-LB-Timestamp');
+  const signature = request.headers.get('X-LB-Signature');
+  if (env.ADMIN_HMAC_SECRET && timestamp && signature) {
+    const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+    if (!(age <= ADMIN_SIGNATURE_MAX_AGE)) return null;
+
+    const url = new URL(request.url);
+    const message = `${timestamp}.${request.method}.${url.pathname}${url.search}.${body}`;
+    const expected = await hmacHex(env.ADMIN_HMAC_SECRET, message);
+    if (timingSafeEqual(signature.replace(/^sha256=/, ''), expected)) {
+      return 'hmac';
+    }
+  }
+
+  return null;
+}
+
+function isValidHostname(host) {
+  return /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z0-9-]{2,63}$/.test(host);
+}
+
+// Newest entries sort first: keys use an inverted timestamp
+async function writeAuditLog(env, entry) {
+  const now = Date.now();
+  const key = `audit:${String(9999999999999 - now).padStart(13, '0')}:${crypto.randomUUID()}`;
+  await env.LB_STATE.put(key, JSON.stringify({ at: new Date(now).toISOString(), ...entry }), {
+    expirationTtl: AUDIT_LOG_TTL
+  });
+}
+
+function parseListParams(url) {
+  const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit'), 10) || 100, 1), 1000);
+  return { limit: limit, cursor: url.searchParams.get('cursor') || undefined };
+}
+
+async function listDomainMappings(env, url) {
+  const page = await env.DOMAIN_MAPPINGS.list(parseListParams(url));
+
+  // Values written by the admin API carry the app type as metadata; older ones need a read
+  const mappings = await Promise.all(page.keys.map(async (key) => ({
+    host: key.name,
+    appType: key.metadata?.appType ?? await env.DOMAIN_MAPPINGS.get(key.name),
+    updatedAt: key.metadata?.updatedAt ?? null
+  })));
+
+  return jsonResponse({
+    mappings: mappings,
+    cursor: page.list_complete ? null : page.cursor
+  });
+}
+
+async function listAuditLog(env, url) {
+  const page = await env.LB_STATE.list({ prefix: 'audit:', ...parseListParams(url) });
+  const entries = await Promise.all(page.keys.map((key) => env.LB_STATE.get(key.name, 'json')));
+
+  return jsonResponse({
+    entries: entries.filter(Boolean),
+    cursor: page.list_complete ? null : page.cursor
+  });
+}
+
+// Maintenance targets are app names (exact hosts or wildcard app types) or tenant hosts
+function isValidAppKey(key) {
+  return /^[a-z0-9]([a-z0-9.-]{0,251}[a-z0-9])?$/.test(key);
+}
+
+// Admin API of one load balancer; changes also update this isolate's caches and shared state
+export function createAdmin({ router, health, pages }) {
+  const { clearDomainCache, getRoutingConfig } = router;
+  const { bumpCacheEpoch, getSharedState, loadSharedState, updateSharedState } = health;
+  const { clearBrandCache } = pages;
+
+  // Flush cached domain mappings here and, via the shared epoch, in every other isolate
+  async function invalidateDomainCache(env, hosts) {
+    clearDomainCache(hosts);
+    await bumpCacheEpoch(env);
+  }
+
+  async function handleMappingRequest(request, env, host, body, audit) {
+    if (!isValidHostname(host)) {
+      return jsonResponse({ error: 'Invalid hostname' }, 400);
+    }
+
+    const current = await env.DOMAIN_MAPPINGS.get(host);
+
+    if (request.method === 'GET') {
+      if (current === null) return jsonResponse({ error: 'Mapping not found' }, 404);
+      return jsonResponse({ host: host, appType: current });
+    }
+
+    if (request.method === 'PUT') {
+      const routing = await getRoutingConfig(env);
+      const appType = body?.appType;
+      if (typeof appType !== 'string' || !routing.wildcards[appType]) {
+        return jsonResponse({
+          error: `appType must be one of: ${Object.keys(routing.wildcards).join(', ')}`
+        }, 400);
+      }
+
+      const updatedAt = new Date().toISOString();
+      await env.DOMAIN_MAPPINGS.put(host, appType, { metadata: { appType: appType, updatedAt: updatedAt } });
+      await invalidateDomainCache(env, [host]);
+      await audit({ action: 'mapping.put', target: host, before: current, after: appType });
+      return jsonResponse({ host: host, appType: appType, updatedAt: updatedAt }, current === null ? 201 : 200);
+    }
+
+    if (request.method === 'DELETE') {
+      if (current === null) return jsonResponse({ error: 'Mapping not found' }, 404);
+
+      await env.DOMAIN_MAPPINGS.delete(host);
+      await invalidateDomainCache(env, [host]);
+      await audit({ action: 'mapping.delete', target: host, before: current, after: null });
+      return jsonResponse({ host: host, deleted: true });
+    }
+
+    return jsonResponse({ error: 'Method not allowed' }, 405);
+  }
+
+  // Force a server down (drain for maintenance) or up, overriding health checks
+  async function handleServerRequest(request, env, server, body, audit) {
+    if (!isValidHostname(server)) {
+      return jsonResponse({ error: 'Invalid hostname' }, 400);
+    }
+
+    const overrides = (await env.LB_STATE.get(SERVER_OVERRIDES_KEY, 'json')) || {};
+    const current = overrides[server] || null;
+
+    if (request.method === 'GET') {
+      return jsonResponse({ server: server, override: current, health: getSharedState().servers[server] || null });
+    }
+
+    if (request.method === 'PUT') {
+      if (body?.state !== 'down' && body?.state !== 'up') {
+        return jsonResponse({ error: 'state must be "down" or "up"' }, 400);
+      }
+
+      overrides[server] = {
+        state: body.state,
+        reason: typeof body.reason === 'string' ? body.reason : null,
+        updatedAt: new Date().toISOString()
+      };
+    } else if (request.method === 'DELETE') {
+      delete overrides[server];
+    } else {
+      return jsonResponse({ error: 'Method not allowed' }, 405);
+    }
+
+    await env.LB_STATE.put(SERVER_OVERRIDES_KEY, JSON.stringify(overrides));
+    updateSharedState({ overrides: overrides });
+    await audit({
+      action: request.method === 'PUT' ? 'server.override' : 'server.clear',
+      target: server,
+      before: current,
+      after: overrides[server] || null
+    });
+    return jsonResponse({ server: server, override: overrides[server] || null });
+  }
+
+  async function handleMaintenanceRequest(request, env, target, body, audit) {
+    if (!isValidAppKey(target)) {
+      return jsonResponse({ error: 'Invalid app or hostname' }, 400);
+    }
+
+    const maintenance = (await env.LB_STATE.get(MAINTENANCE_KEY, 'json')) || {};
+    const current = maintenance[target] || null;
+
+    if (request.method === 'GET') {
+      return jsonResponse({ target: target, maintenance: current });
+    }
+
+    if (request.method === 'PUT') {
+      const entry = body || {};
+      if (entry.message !== undefined && typeof entry.message !== 'string') {
+        return jsonResponse({ error: 'message must be a string' }, 400);
+      }
+      if (entry.retryAfter !== undefined && !(Number.isInteger(entry.retryAfter) && entry.retryAfter > 0)) {
+        return jsonResponse({ error: 'retryAfter must be a positive integer (seconds)' }, 400);
+      }
+      if (entry.until !== undefined && Number.isNaN(Date.parse(entry.until))) {
+        return jsonResponse({ error: 'until must be an ISO 8601 date' }, 400);
+      }
+
+      maintenance[target] = {
+        message: entry.message || null,
+        retryAfter: entry.retryAfter || null,
+        until: entry.until ? new Date(entry.until).toISOString() : null,
+        updatedAt: new Date().toISOString()
+      };
+    } else if (request.method === 'DELETE') {
+      delete maintenance[target];
+    } else {
+      return jsonResponse({ error: 'Method not allowed' }, 405);
+    }
+
+    await env.LB_STATE.put(MAINTENANCE_KEY, JSON.stringify(maintenance));
+    updateSharedState({ maintenance: maintenance });
+    await audit({
+      action: request.method === 'PUT' ? 'maintenance.start' : 'maintenance.end',
+      target: target,
+      before: current,
+      after: maintenance[target] || null
+    });
+    return jsonResponse({ target: target, maintenance: maintenance[target] || null });
+  }
+
+  async function handleBrandRequest(request, env, target, body, audit) {
+    if (target !== 'default' && !isValidAppKey(target)) {
+      return jsonResponse({ error: 'Invalid app or hostname' }, 400);
+    }
+
+    const key = BRAND_KEY_PREFIX + target;
+    const current = await env.LB_STATE.get(key, 'json');
+
+    if (request.method === 'GET') {
+      if (current === null) return jsonResponse({ error: 'Brand not found' }, 404);
+      return jsonResponse({ target: target, brand: current });
+    }
+
+    if (request.method === 'PUT') {
+      const errors = validateBrand(body);
+      if (errors.length > 0) {
+        return jsonResponse({ error: 'Invalid brand', details: errors }, 400);
+      }
+      await env.LB_STATE.put(key, JSON.stringify(body));
+    } else if (request.method === 'DELETE') {
+      if (current === null) return jsonResponse({ error: 'Brand not found' }, 404);
+      await env.LB_STATE.delete(key);
+    } else {
+      return jsonResponse({ error: 'Method not allowed' }, 405);
+    }
+
+    clearBrandCache(target);
+    await bumpCacheEpoch(env);
+    await audit({
+      action: request.method === 'PUT' ? 'brand.put' : 'brand.delete',
+      target: target,
+      before: current,
+      after: request.method === 'PUT' ? body : null
+    });
+    return jsonResponse({ target: target, brand: request.method === 'PUT' ? body : null });
+  }
+
+  // Routes:
+  //   GET              /__lb/admin/mappings?limit=&cursor=
+  //   GET|PUT|DELETE   /__lb/admin/mappings/<host>       PUT body: { "appType": "brokervu" }
+  //   GET              /__lb/admin/servers
+  //   GET|PUT|DELETE   /__lb/admin/servers/<server>      PUT body: { "state": "down", "reason": "..." }
+  //   GET              /__lb/admin/maintenance
+  //   GET|PUT|DELETE   /__lb/admin/maintenance/<target>  PUT body: { "message", "retryAfter", "until" } (optional)
+  //   GET|PUT|DELETE   /__lb/admin/brands/<target>       PUT body: brand ({ "name", "logoUrl", "pages", ... })
+  //   POST             /__lb/admin/cache/invalidate      body: { "hosts": [...] } (optional)
+  //   GET              /__lb/admin/audit?limit=&cursor=
+  async function handleAdmin(request, env) {
+    if (!env?.LB_STATE || !env?.DOMAIN_MAPPINGS || (!env.ADMIN_TOKEN && !env.ADMIN_HMAC_SECRET)) {
+      return jsonResponse({ error: 'Admin API is not configured' }, 404);
+    }
+
+    const rawBody = ['GET', 'HEAD'].includes(request.method) ? '' : await request.text();
+    const authMethod = await authenticateAdmin(request, env, rawBody);
+    if (!authMethod) {
+      return jsonResponse({ error: 'Unauthorized' }, 401);
+    }
+
+    let body = null;
+    if (rawBody) {
+      try {
+        body = JSON.parse(rawBody);
+      } catch (e) {
+        return jsonResponse({ error: 'Request body must be JSON' }, 400);
+      }
+    }
+
+    const url = new URL(request.url);
+    const [resource, ...rest] = url.pathname.slice(ADMIN_PATH.length + 1).split('/');
+    const target = decodeURIComponent(rest.join('/')).toLowerCase();
+
+    const audit = (entry) => writeAuditLog(env, {
+      actor: request.headers.get('X-LB-Actor') || authMethod,
+      ip: request.headers.get('CF-Connecting-IP'),
+      ...entry
+    });
+
+    await loadSharedState(env, true);
+
+    if (resource === 'mappings' && !target) {
+      if (request.method !== 'GET') return jsonResponse({ error: 'Method not allowed' }, 405);
+      return listDomainMappings(env, url);
+    }
+    if (resource === 'mappings') {
+      return handleMappingRequest(request, env, target, body, audit);
+    }
+
+    if (resource === 'servers' && !target) {
+      if (request.method !== 'GET') return jsonResponse({ error: 'Method not allowed' }, 405);
+      const { overrides, servers } = getSharedState();
+      return jsonResponse({ overrides: overrides, health: servers });
+    }
+    if (resource === 'servers') {
+      return handleServerRequest(request, env, target, body, audit);
+    }
+
+    if (resource === 'maintenance' && !target) {
+      if (request.method !== 'GET') return jsonResponse({ error: 'Method not allowed' }, 405);
+      return jsonResponse({ maintenance: getSharedState().maintenance });
+    }
+    if (resource === 'maintenance') {
+      return handleMaintenanceRequest(request, env, target, body, audit);
+    }
+
+    if (resource === 'brands' && target) {
+      return handleBrandRequest(request, env, target, body, audit);
+    }
+
+    if (resource === 'cache' && target === 'invalidate') {
+      if (request.method !== 'POST') return jsonResponse({ error: 'Method not allowed' }, 405);
+
+      const hosts = Array.isArray(body?.hosts) ? body.hosts.map((h) => String(h).toLowerCase()) : null;
+      await invalidateDomainCache(env, hosts);
+      await audit({ action: 'cache.invalidate', target: hosts ? hosts.join(',') : '*' });
+      return jsonResponse({ invalidated: hosts || '*', epoch: getSharedState().cacheEpoch });
+    }
+
+    if (resource === 'audit' && !target) {
+      if (request.method !== 'GET') return jsonResponse({ error: 'Method not allowed' }, 405);
+      return listAuditLog(env, url);
+    }
+
+    return jsonResponse({ error: 'Not found' }, 404);
+  }
+
+  return { handleAdmin };
+}
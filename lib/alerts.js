@@ -0,0 +1,100 @@
+/**
+ * Outage alerts (Slack, generic JSON webhook, PagerDuty) for the transitions seen by the
+ * scheduled health checks (see PAGERDUTY_EVENTS_URL in lib/settings.js)
+ */
+import { PAGERDUTY_EVENTS_URL } from './settings.js';
+import { logEvent } from './util.js';
+
+function getAlertTargets(env) {
+  const targets = [];
+  if (env?.ALERT_SLACK_WEBHOOK_URL) targets.push({ type: 'slack', url: env.ALERT_SLACK_WEBHOOK_URL });
+  if (env?.ALERT_WEBHOOK_URL) targets.push({ type: 'json', url: env.ALERT_WEBHOOK_URL });
+  if (env?.PAGERDUTY_ROUTING_KEY) targets.push({ type: 'pagerduty', routingKey: env.PAGERDUTY_ROUTING_KEY });
+  return targets;
+}
+
+function buildAlertPayload(target, alert) {
+  const down = alert.state === 'down';
+  const summary = down
+    ? `Origin down: ${alert.server} (${alert.source})`
+    : `Origin recovered: ${alert.server}`;
+
+  if (target.type === 'slack') {
+    return {
+      text: `${down ? ':red_circle:' : ':large_green_circle:'} ${summary}`,
+      attachments: [{
+        color: down ? 'danger' : 'good',
+        fields: Object.entries({ source: alert.source, at: alert.at, ...alert.details })
+          .map(([title, value]) => ({ title: title, value: String(value), short: true }))
+      }]
+    };
+  }
+
+  if (target.type === 'pagerduty') {
+    return {
+      routing_key: target.routingKey,
+      event_action: down ? 'trigger' : 'resolve',
+      dedup_key: `lb-origin-${alert.server}`,
+      payload: {
+        summary: summary,
+        source: alert.server,
+        severity: 'critical',
+        component: 'load-balancer',
+        timestamp: alert.at,
+        custom_details: { source: alert.source, ...alert.details }
+      }
+    };
+  }
+
+  return {
+    event: down ? 'origin.down' : 'origin.up',
+    server: alert.server,
+    source: alert.source,
+    at: alert.at,
+    details: alert.details
+  };
+}
+
+async function sendAlert(target, alert) {
+  const url = target.type === 'pagerduty' ? PAGERDUTY_EVENTS_URL : target.url;
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(buildAlertPayload(target, alert))
+  });
+  if (!response.ok) {
+    throw new Error(`Webhook returned ${response.status}`);
+  }
+}
+
+// Alert queue of one load balancer, filled by its health checks
+export function createAlerter() {
+  // Health check transitions waiting to be sent as alerts, and the last state this
+  // isolate alerted per origin (skips repeats)
+  const pendingAlerts = [];
+  const lastAlerted = new Map();
+
+  function queueAlert(server, state, source, details) {
+    pendingAlerts.push({ server: server, state: state, source: source, details: details, at: new Date().toISOString() });
+  }
+
+  // Send the transitions queued by the last health check run. A run that read an
+  // outdated previous state may see a transition again; this isolate skips repeats.
+  async function flushAlerts(env) {
+    const alerts = pendingAlerts.splice(0);
+    const targets = getAlertTargets(env);
+    if (targets.length === 0) return;
+
+    for (const alert of alerts) {
+      if (lastAlerted.get(alert.server) === alert.state) continue;
+      lastAlerted.set(alert.server, alert.state);
+
+      logEvent({ type: 'alert', ...alert });
+      await Promise.all(targets.map((target) => sendAlert(target, alert).catch((e) => {
+        logEvent({ type: 'alert-failed', target: target.type, server: alert.server, error: e.message });
+      })));
+    }
+  }
+
+  return { queueAlert, flushAlerts };
+}
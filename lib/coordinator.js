@@ -0,0 +1,198 @@
+/**
+ * Origin coordinator: one Durable Object per app decides origin state for every isolate
+ * by quorum (see COORDINATOR in lib/settings.js). Each isolate reports outcomes to it
+ * and caches its decision.
+ */
+import { COORDINATOR } from './settings.js';
+import { logEvent, withDeadline } from './util.js';
+
+// One instance per app (idFromName(app)). Keeps each isolate's latest report per
+// origin and decides origin state by quorum. The quorum settings come with each report,
+// since the Durable Object doesn't know which load balancer's options apply.
+export class OriginCoordinator {
+  constructor(state) {
+    this.state = state;
+    this.servers = null;
+  }
+
+  async fetch(request) {
+    if (!this.servers) {
+      this.servers = (await this.state.storage.get('servers')) || {};
+    }
+
+    const url = new URL(request.url);
+    if (request.method === 'POST' && url.pathname === '/report') {
+      const report = await request.json();
+      const settings = { ...COORDINATOR, ...report.settings };
+      for (const [server, counts] of Object.entries(report.servers || {})) {
+        this.applyReport(server, String(report.isolate), counts, settings);
+      }
+      await this.state.storage.put('servers', this.servers);
+    } else if (!(request.method === 'GET' && url.pathname === '/state')) {
+      return new Response('Not found', { status: 404 });
+    }
+
+    return Response.json({ servers: this.snapshot() });
+  }
+
+  applyReport(server, isolate, counts, settings) {
+    const now = Date.now();
+    const entry = this.servers[server] || (this.servers[server] = {
+      state: 'up', downUntil: 0, downCount: 0, recoveredAt: 0, votes: {}
+    });
+
+    // Down period over - everyone takes the origin back at the same time
+    if (entry.state === 'down' && entry.downUntil <= now) {
+      entry.state = 'up';
+      entry.recoveredAt = now;
+    }
+
+    // Each isolate's vote is its latest batch only - totals would let an hour of
+    // successes outweigh the outage that follows
+    entry.votes[isolate] = {
+      failures: counts.failures || 0,
+      successes: counts.successes || 0,
+      at: now
+    };
+
+    for (const [id, v] of Object.entries(entry.votes)) {
+      if (now - v.at > settings.window * 1000) delete entry.votes[id];
+    }
+    if (entry.state === 'down') return;
+
+    const failing = Object.values(entry.votes).filter((v) => v.failures > 0 && v.failures >= v.successes);
+    if (failing.length >= settings.quorum) {
+      const duration = Math.min(
+        settings.downDuration * Math.pow(2, entry.downCount),
+        settings.maxDownDuration
+      );
+      entry.state = 'down';
+      entry.downUntil = now + (duration * 1000);
+      entry.downCount++;
+      entry.votes = {}; // Coming back needs a fresh quorum to fail it again
+    } else if (entry.downCount > 0 && counts.successes > 0 &&
+               now - entry.recoveredAt > settings.window * 1000) {
+      entry.downCount = 0; // Healthy for a full window - reset the backoff
+    }
+  }
+
+  snapshot() {
+    const servers = {};
+    for (const [server, entry] of Object.entries(this.servers)) {
+      const down = entry.state === 'down' && entry.downUntil > Date.now();
+      servers[server] = { state: down ? 'down' : 'up', downUntil: down ? entry.downUntil : 0 };
+    }
+    return servers;
+  }
+}
+
+// Opt-in per app, and only once the LB_COORDINATOR binding exists
+export function usesCoordinator(env, config) {
+  return Boolean(env?.LB_COORDINATOR && config.coordinator === true);
+}
+
+// This isolate's side: reports outcomes and caches each app's coordinator decision
+export function createCoordinatorClient(settings) {
+  // Coordinator state per app, outcomes not yet reported, and this isolate's identity
+  const coordinatorCache = new Map();
+  const pendingReports = new Map();
+  let isolateId = null; // Random values can't be generated at startup, set on first report
+  let coordinatorUnreachableUntil = 0;
+
+  // Down according to any app's coordinator (origins are rarely shared between apps)
+  function isServerCoordinatedDown(server) {
+    for (const entry of coordinatorCache.values()) {
+      const state = entry.servers[server];
+      if (state?.state === 'down' && state.downUntil > Date.now()) return true;
+    }
+    return false;
+  }
+
+  function queueReport(app, server, ok) {
+    if (!pendingReports.has(app)) {
+      pendingReports.set(app, { servers: {}, hasFailures: false, since: Date.now() });
+    }
+    const batch = pendingReports.get(app);
+    const counts = batch.servers[server] || (batch.servers[server] = { failures: 0, successes: 0 });
+    counts[ok ? 'successes' : 'failures']++;
+    if (!ok) batch.hasFailures = true;
+  }
+
+  // Outcomes are only reported for apps whose coordinator this isolate has asked
+  function isCoordinated(app) {
+    return coordinatorCache.has(app);
+  }
+
+  async function callCoordinator(env, app, path, init = {}) {
+    const stub = env.LB_COORDINATOR.get(env.LB_COORDINATOR.idFromName(app));
+    const response = await withDeadline(
+      stub.fetch(`https://coordinator${path}`, init),
+      settings.coordinator.timeout,
+      'Coordinator timed out'
+    );
+    if (!response.ok) {
+      throw new Error(`Coordinator returned ${response.status}`);
+    }
+
+    const state = await response.json();
+    coordinatorCache.set(app, { servers: state.servers, expiry: Date.now() + (settings.coordinator.cacheTtl * 1000) });
+  }
+
+  // Refresh the cached decision for an app (in the background - the request uses the cached one)
+  function refreshCoordinator(env, app, ctx) {
+    if (!coordinatorCache.has(app)) {
+      coordinatorCache.set(app, { servers: {}, expiry: 0 });
+    }
+
+    const entry = coordinatorCache.get(app);
+    if (Date.now() < entry.expiry || Date.now() < coordinatorUnreachableUntil || entry.refreshing) return;
+
+    entry.refreshing = true;
+    ctx.waitUntil(callCoordinator(env, app, '/state').catch((e) => {
+      coordinatorUnreachableUntil = Date.now() + (settings.coordinator.retryAfter * 1000);
+      logEvent({ type: 'coordinator-error', app: app, error: e.message });
+    }).finally(() => {
+      entry.refreshing = false;
+    }));
+  }
+
+  // Send batched outcomes: failures right away, successes every reportInterval
+  function shouldFlushReports() {
+    for (const batch of pendingReports.values()) {
+      if (batch.hasFailures || Date.now() - batch.since >= settings.coordinator.reportInterval * 1000) return true;
+    }
+    return false;
+  }
+
+  async function flushReports(env) {
+    const batches = [...pendingReports];
+    pendingReports.clear();
+    if (Date.now() < coordinatorUnreachableUntil) return;
+    isolateId = isolateId || crypto.randomUUID();
+
+    const coordinator = settings.coordinator;
+    const quorumSettings = {
+      quorum: coordinator.quorum,
+      window: coordinator.window,
+      downDuration: coordinator.downDuration,
+      maxDownDuration: coordinator.maxDownDuration
+    };
+    await Promise.all(batches.map(([app, batch]) => callCoordinator(env, app, '/report', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ isolate: isolateId, servers: batch.servers, settings: quorumSettings })
+    }).catch((e) => {
+      coordinatorUnreachableUntil = Date.now() + (settings.coordinator.retryAfter * 1000);
+      logEvent({ type: 'coordinator-error', app: app, error: e.message });
+    })));
+  }
+
+  return {
+    isServerCoordinatedDown,
+    isCoordinated,
+    queueReport,
+    refreshCoordinator,
+    shouldFlushReports,
+    flushReports
+  };
+}
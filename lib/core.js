@@ -0,0 +1,227 @@
+/**
+ * Load Balancer Core
+ *
+ * Shared by worker.js, examples/load-balancer.js and multi-app-config.js. Each of
+ * them is a config passed to createLoadBalancer(), which returns the Worker's
+ * { fetch, scheduled } handlers. Deploy with Wrangler, which bundles this module
+ * and the rest of lib/ into the Worker.
+ *
+ * createLoadBalancer() composes one instance of each part: the router (routing.js),
+ * pool selector (pool.js), health tracker and checks (health.js), HTTP and WebSocket
+ * proxies (proxy.js, websocket.js), admin API (admin.js) and the pieces they share.
+ * Defaults and fixed limits live in settings.js.
+ *
+ * Features:
+ * - Fast failover with a per-origin circuit breaker (closed/open/half-open with backoff)
+ * - Active health checks via Cron Trigger, shared across isolates through KV
+ * - Routing table published as versioned JSON in KV, validated on load
+ * - Authenticated admin API (/__lb/admin) for domain mappings, drains and cache invalidation
+ * - Protected status page (/__lb/status) with routing, health and failover details
+ * - Structured request logs, Analytics Engine events and Prometheus metrics (/__lb/metrics)
+ * - Outage/recovery webhooks (Slack, generic JSON, PagerDuty) sent from the health checks
+ * - Branded per-tenant error pages from KV (JSON problem details for API clients) and maintenance mode
+ * - Opt-in stale-on-error cache: the last good copy of a GET is served when every origin fails
+ * - Safe retry policy: non-idempotent requests are never replayed once an origin may have seen them
+ * - Request bodies streamed to the origin, with a size-capped copy kept for retries
+ * - N-server pools per app with priority tiers and failover/round-robin/weighted/smart/geo modes
+ * - Session affinity via a signed cookie or a hash of a header/client IP
+ * - Optional Durable Object coordinator per app for globally consistent failover (quorum of isolates)
+ * - Failback with hysteresis: recovered origins get traffic back gradually, aborting on errors
+ * - Canary/blue-green traffic rules (sticky percentage, header, cookie, host) to alternate pools
+ * - Declarative header policy: request/response rewriting, HSTS, HMAC-signed identity headers
+ * - Per-tenant rate limiting (host, IP, path, API key) with token buckets; offenders can't trigger failover
+ * - Response checks (status, required header, HTML body marker) to fail over from origins serving the wrong thing
+ * - WebSocket support with failover, optionally proxied with mid-session reconnection
+ * - Multi-tenant support via X-Original-Host header
+ * - Exact, wildcard, KV-mapped and passthrough hosts, or one default app for single-app workers
+ */
+import { ADMIN_PATH, METRICS_PATH, STATUS_PATH, resolveSettings } from './settings.js';
+import { createRouter } from './routing.js';
+import { createPoolSelector } from './pool.js';
+import { createHealthChecks, createHealthTracker } from './health.js';
+import { createCoordinatorClient, usesCoordinator } from './coordinator.js';
+import { createProxy } from './proxy.js';
+import { createWebSocketProxy } from './websocket.js';
+import { createHeaderPolicy } from './headers.js';
+import { createRateLimiter } from './rate-limit.js';
+import { getStaleCacheConfig, withStaleCache } from './stale-cache.js';
+import { createErrorPages, getMaintenance } from './pages.js';
+import { createAlerter } from './alerts.js';
+import { createMetrics } from './metrics.js';
+import { createAdmin } from './admin.js';
+import { createStatusPage } from './status.js';
+
+// Durable Objects, exported again by each Worker entry point
+export { OriginCoordinator } from './coordinator.js';
+export { RateLimiter } from './rate-limit.js';
+
+// ============================================
+// LOAD BALANCER
+// ============================================
+
+// Build the Worker handlers for a routing table:
+//   apps        - exact hostnames -> app config
+//   wildcards   - app type -> app config with a `domain` (matches *.domain, and custom
+//                 domains mapped to that app type in DOMAIN_MAPPINGS)
+//   passthrough - hostnames ("*.suffix" wildcards allowed) sent straight to their origin
+//   defaultApp  - app config for every other host (single-app workers)
+// Any of the settings in lib/settings.js can be overridden by option name:
+// timeouts, circuitBreaker, failback, retry, hedge, bodyScanLimit, replayBufferLimit,
+// websocket, staleCache, smart, coordinator, traffic, affinity, rateLimit, headers, geo,
+// healthCheck, requestLogging, errorPages and debugHeaders. Objects are merged over the defaults.
+// Each load balancer keeps its own settings, routing table and isolate state.
+export function createLoadBalancer(options = {}) {
+  const settings = resolveSettings(options);
+
+  // Built-in routing table, used until a valid config is published to KV. `wildcards`
+  // is keyed by the app type stored in DOMAIN_MAPPINGS.
+  const defaultRouting = {
+    version: 0,
+    apps: options.apps || {},
+    wildcards: options.wildcards || {},
+    passthrough: options.passthrough || [],
+    default: options.defaultApp || null
+  };
+
+  // Each part keeps the isolate state it owns; later parts are built on earlier ones
+  const coordinator = createCoordinatorClient(settings);
+  const router = createRouter(settings, defaultRouting);
+  const pages = createErrorPages(settings);
+  const health = createHealthTracker(settings, { coordinator, router, pages });
+  const pools = createPoolSelector(settings, { health });
+  const alerts = createAlerter();
+  const healthChecks = createHealthChecks(settings, { router, pools, health, alerts });
+  const rateLimiter = createRateLimiter(settings);
+  const headers = createHeaderPolicy(settings);
+  const metrics = createMetrics(settings, { router, pools, health });
+  const proxy = createProxy(settings, { router, pools, health, coordinator, headers, pages, metrics });
+  const webSockets = createWebSocketProxy(settings, { router, pools, health, headers, proxy, pages, metrics });
+  const admin = createAdmin({ router, health, pages });
+  const status = createStatusPage({ router, pools, health });
+
+  async function handleFetch(request, env, ctx) {
+    const url = new URL(request.url);
+    const host = url.hostname;
+
+    // Admin API - handled on every host, before routing
+    if (url.pathname === ADMIN_PATH || url.pathname.startsWith(ADMIN_PATH + '/')) {
+      return admin.handleAdmin(request, env);
+    }
+
+    // Status page - resolved routing, origin health and recent failovers (requires a token)
+    if (url.pathname === STATUS_PATH) {
+      return status.handleStatus(request, env);
+    }
+
+    // Prometheus metrics for this isolate (requires a token)
+    if (url.pathname === METRICS_PATH) {
+      return metrics.handleMetrics(request, env);
+    }
+
+    // Get config for this app (passthrough, exact match, wildcard, or KV lookup)
+    const routing = await router.getRoutingConfig(env);
+    const { rule, appType, config } = await router.resolveRoute(host, env, routing);
+
+    // Everything we learn about this request, for the request log and metrics
+    const trace = {
+      startTime: Date.now(),
+      host: host,
+      app: appType || (config ? host : 'unconfigured'), // Unknown hosts share one label
+      rule: rule,
+      method: request.method,
+      path: url.pathname,
+      websocket: false,
+      attempts: [],
+      servedBy: null,
+      retryBlocked: null,
+      stale: false,
+      colo: request.cf?.colo || null,
+      pool: null,
+      rateLimited: null,
+      offender: false,
+      hedged: null
+    };
+
+    // Pass through domains that have their own websites (not handled by this worker)
+    if (rule === 'passthrough') {
+      return fetch(request);
+    }
+
+    // Pick up the latest probe results so we fail over before users hit the timeout
+    await health.loadSharedState(env);
+    if (config && usesCoordinator(env, config)) {
+      coordinator.refreshCoordinator(env, trace.app, ctx);
+    }
+
+    if (!config) {
+      metrics.logRequest(env, trace, 404);
+      return pages.errorResponse(request, env, trace, 'not-configured');
+    }
+
+    // Maintenance mode - answer from the edge without touching any origin
+    const maintenance = getMaintenance(health.getSharedState().maintenance, host, trace.app);
+    if (maintenance) {
+      metrics.logRequest(env, trace, 503);
+      return pages.errorResponse(request, env, trace, 'maintenance', {
+        ...(maintenance.message && { message: maintenance.message }),
+        retryAfter: maintenance.retryAfter
+      });
+    }
+
+    // Rate limits - rejected before any origin sees the request
+    const limited = await rateLimiter.applyRateLimits(request, env, config, trace, url.pathname);
+    if (limited) {
+      trace.rateLimited = limited.rule;
+      metrics.logRequest(env, trace, 429);
+      return pages.errorResponse(request, env, trace, 'rate-limited', { retryAfter: limited.retryAfter });
+    }
+
+    // Canary / blue-green rules may send this request to an alternate pool
+    const target = pools.selectTrafficPool(request, config, host);
+    trace.pool = target.name;
+
+    // Check for WebSocket upgrade
+    const upgradeHeader = request.headers.get('Upgrade');
+    if (upgradeHeader && upgradeHeader.toLowerCase() === 'websocket') {
+      trace.websocket = true;
+      const response = await webSockets.handleWebSocket(request, env, target.config, host, trace);
+      metrics.logRequest(env, trace, response.status);
+      return response;
+    }
+
+    let response = await proxy.proxyHttp(request, env, target.config, host, trace);
+
+    const staleCache = getStaleCacheConfig(settings.staleCache, target.config, url.pathname);
+    if (staleCache) {
+      response = await withStaleCache(request, response, staleCache, trace, ctx);
+    }
+
+    metrics.logRequest(env, trace, response.status);
+    response = headers.applyResponsePolicy(response, target.config);
+    if (settings.debugHeaders) {
+      const origin = pools.getPool(target.config).origins.find((o) => o.host === trace.servedBy);
+      response.headers.set('X-Served-By', origin?.name || 'none');
+      response.headers.set('X-LB-Mode', pools.getPool(target.config).mode);
+    }
+    return config.traffic ? pools.withTrafficHeaders(response, target) : response;
+  }
+
+  return {
+    async fetch(request, env, ctx) {
+      const response = await handleFetch(request, env, ctx);
+
+      if (env?.LB_COORDINATOR && coordinator.shouldFlushReports()) {
+        ctx.waitUntil(coordinator.flushReports(env));
+      }
+      return response;
+    },
+
+    // Cron Trigger - actively probe every server so failover doesn't wait for a user timeout
+    async scheduled(event, env, ctx) {
+      ctx.waitUntil(healthChecks.runHealthChecks(env).then(() => alerts.flushAlerts(env)));
+
+      // Promote the published routing config to last known-good once it validates
+      ctx.waitUntil(router.getRoutingConfig(env).then((routing) => router.saveLastGoodRouting(env, routing)));
+    }
+  };
+}
@@ -0,0 +1,91 @@
+/**
+ * Header policy (see HEADER_POLICY in lib/settings.js): headers sent to origins and
+ * returned to clients
+ */
+import { hmacHex } from './util.js';
+
+function applyHeaderRules(headers, rules) {
+  for (const name of rules.remove) {
+    headers.delete(name);
+  }
+  for (const [name, value] of Object.entries(rules.set)) {
+    headers.set(name, value);
+  }
+  for (const [name, value] of Object.entries(rules.append)) {
+    headers.append(name, value);
+  }
+}
+
+// Header rules of one load balancer, its own defaults merged with each app's
+export function createHeaderPolicy(settings) {
+  function getHeaderPolicy(config) {
+    const policy = config.headers || {};
+    return {
+      request: { ...settings.headers.request, ...policy.request },
+      response: { ...settings.headers.response, ...policy.response },
+      sign: policy.sign ?? settings.headers.sign
+    };
+  }
+
+  // Headers sent to every origin for this request (shared by HTTP and WebSocket)
+  async function buildUpstreamHeaders(request, env, config, originalHost) {
+    const policy = getHeaderPolicy(config);
+    const headers = new Headers(request.headers);
+    headers.delete('X-LB-Identity-Timestamp');
+    headers.delete('X-LB-Identity-Signature');
+    applyHeaderRules(headers, policy.request);
+
+    // X-Original-Host for tenant detection
+    // Note: Using X-Original-Host instead of X-Forwarded-Host to avoid Traefik interference
+    headers.set('X-Original-Host', originalHost);
+
+    // Forward client IP in all common headers for proxy compatibility
+    // X-Client-Real-IP is a custom header that won't be overwritten by Traefik
+    const clientIp = request.headers.get('CF-Connecting-IP') || '';
+    if (clientIp) {
+      headers.set('X-Client-Real-IP', clientIp);
+      headers.set('X-Real-IP', clientIp);
+      headers.set('CF-Connecting-IP', clientIp);
+
+      const forwardedFor = request.headers.get('X-Forwarded-For');
+      const chain = forwardedFor ? forwardedFor.split(',').map((ip) => ip.trim()) : [];
+      if (chain[chain.length - 1] !== clientIp) {
+        chain.push(clientIp);
+      }
+      headers.set('X-Forwarded-For', chain.join(', '));
+    } else {
+      headers.delete('X-Client-Real-IP');
+      headers.delete('X-Real-IP');
+    }
+
+    if (policy.sign && env?.IDENTITY_HMAC_SECRET) {
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      const signature = await hmacHex(env.IDENTITY_HMAC_SECRET, `${timestamp}.${originalHost}.${clientIp}`);
+      headers.set('X-LB-Identity-Timestamp', timestamp);
+      headers.set('X-LB-Identity-Signature', `sha256=${signature}`);
+    }
+
+    return headers;
+  }
+
+  // Response headers for the client (not applied to WebSocket upgrades)
+  function applyResponsePolicy(response, config) {
+    if (response.status === 101) return response;
+
+    const policy = getHeaderPolicy(config).response;
+    const newResponse = new Response(response.body, response);
+    applyHeaderRules(newResponse.headers, policy);
+
+    if (policy.hsts) {
+      const hsts = policy.hsts === true ? {} : policy.hsts;
+      newResponse.headers.set('Strict-Transport-Security', [
+        `max-age=${hsts.maxAge ?? 31536000}`,
+        hsts.includeSubDomains ? 'includeSubDomains' : null,
+        hsts.preload ? 'preload' : null
+      ].filter(Boolean).join('; '));
+    }
+    return newResponse;
+  }
+
+  return { buildUpstreamHeaders, applyResponsePolicy };
+}
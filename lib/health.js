@@ -0,0 +1,537 @@
+/**
+ * Origin health: circuit breakers, failback ramps and response time stats kept by each
+ * isolate, the state every isolate shares through LB_STATE, and the active health
+ * checks run by the Cron Trigger.
+ */
+import { MAX_RECENT_EVENTS, SHARED_HEALTH_MAX_AGE, SHARED_HEALTH_TTL } from './settings.js';
+import { fetchWithTimeout } from './util.js';
+import { getRoutingApps } from './routing.js';
+
+// Shared state in LB_STATE: probe results from the health checks, admin drains/overrides,
+// maintenance windows and the cache epoch (bumped to invalidate domain and brand caches)
+const SHARED_HEALTH_KEY = 'health:servers';
+export const SERVER_OVERRIDES_KEY = 'servers:overrides';
+export const MAINTENANCE_KEY = 'maintenance:apps';
+const CACHE_EPOCH_KEY = 'cache:epoch';
+
+const LATENCY_SAMPLES = 100; // Recent response times kept per origin for percentiles
+
+// ============================================
+// HEALTH TRACKER
+// ============================================
+
+// Health of every origin as seen by this isolate (resets on worker cold start)
+export function createHealthTracker(settings, { coordinator, router, pages }) {
+  const { isServerCoordinatedDown } = coordinator;
+  const { clearDomainCache } = router;
+  const { clearBrandCache } = pages;
+
+  // Failback ramps in progress per origin (resets on worker cold start)
+  const failbacks = new Map();
+
+  // In-memory circuit breakers per origin (resets on worker cold start)
+  const breakers = new Map();
+
+  // In-memory response time/failure stats per origin (used by smart mode and hedging)
+  const serverStats = new Map();
+
+  // Latency moving average per "colo|origin" (used by geo mode). An isolate normally
+  // serves a single colo, but keying by colo keeps samples from ever being mixed.
+  const coloLatency = new Map();
+
+  // Recent failover events in this isolate, newest last (shown on the status page)
+  const recentEvents = [];
+
+  // Shared state from LB_STATE, cached in memory. cacheEpoch is undefined until the first load.
+  let sharedState = { servers: {}, updatedAt: 0, overrides: {}, maintenance: {}, cacheEpoch: undefined, expiry: 0 };
+
+  function isServerMarkedDown(server) {
+    // Admin overrides win over health checks (drain for maintenance / force up)
+    const override = sharedState.overrides[server];
+    if (override) return override.state === 'down';
+
+    if (isServerSharedDown(server)) return true;
+    if (isServerCoordinatedDown(server)) return true;
+
+    return isCircuitOpen(server);
+  }
+
+  function isServerSharedDown(server) {
+    // Stale probe results (e.g. cron stopped running) must not keep a server down
+    if (Date.now() - sharedState.updatedAt > SHARED_HEALTH_MAX_AGE * 1000) {
+      return false;
+    }
+
+    const status = sharedState.servers[server];
+    return status ? !status.healthy : false;
+  }
+
+  function recordEvent(type, details) {
+    recentEvents.push({ at: new Date().toISOString(), type: type, ...details });
+    if (recentEvents.length > MAX_RECENT_EVENTS) {
+      recentEvents.shift();
+    }
+  }
+
+  // Drained by an admin: never gets traffic, not even as a last resort
+  function isServerDrained(server) {
+    return sharedState.overrides[server]?.state === 'down';
+  }
+
+  // ============================================
+  // CIRCUIT BREAKER
+  // ============================================
+
+  function getBreaker(server) {
+    if (!breakers.has(server)) {
+      breakers.set(server, {
+        state: 'closed',
+        outcomes: [],          // { at, ok } within the sliding window
+        consecutiveFailures: 0,
+        openCount: 0,          // Consecutive opens without closing (drives the backoff)
+        openUntil: 0,
+        halfOpenInFlight: 0,
+        halfOpenSuccesses: 0,
+        halfOpenSince: 0
+      });
+    }
+    return breakers.get(server);
+  }
+
+  function pruneOutcomes(breaker) {
+    const cutoff = Date.now() - (settings.circuitBreaker.windowSize * 1000);
+    while (breaker.outcomes.length > 0 && breaker.outcomes[0].at < cutoff) {
+      breaker.outcomes.shift();
+    }
+  }
+
+  function getErrorRate(breaker) {
+    pruneOutcomes(breaker);
+    if (breaker.outcomes.length === 0) return 0;
+    return breaker.outcomes.filter((o) => !o.ok).length / breaker.outcomes.length;
+  }
+
+  function enterHalfOpen(breaker) {
+    breaker.state = 'half-open';
+    breaker.halfOpenInFlight = 0;
+    breaker.halfOpenSuccesses = 0;
+    breaker.halfOpenSince = Date.now();
+  }
+
+  // True while the origin should not receive regular traffic
+  function isCircuitOpen(server) {
+    const breaker = breakers.get(server);
+    if (!breaker || breaker.state === 'closed') return false;
+
+    if (breaker.state === 'open') {
+      if (Date.now() < breaker.openUntil) return true;
+      enterHalfOpen(breaker);
+    }
+
+    // Half-open: trial requests that never reported back must not block the origin forever
+    if (Date.now() - breaker.halfOpenSince > settings.circuitBreaker.openDuration * 1000) {
+      enterHalfOpen(breaker);
+    }
+    return breaker.halfOpenInFlight >= settings.circuitBreaker.halfOpenRequests;
+  }
+
+  // Claim a trial slot before sending to a half-open origin
+  function acquireBreakerPermit(server) {
+    const breaker = breakers.get(server);
+    if (breaker?.state === 'half-open') {
+      breaker.halfOpenInFlight++;
+    }
+  }
+
+  // Give back a trial slot for a request that was abandoned before it could tell anything
+  function releaseBreakerPermit(server) {
+    const breaker = breakers.get(server);
+    if (breaker?.state === 'half-open') {
+      breaker.halfOpenInFlight = Math.max(0, breaker.halfOpenInFlight - 1);
+    }
+  }
+
+  function openCircuit(server, breaker) {
+    const duration = Math.min(
+      settings.circuitBreaker.openDuration * Math.pow(settings.circuitBreaker.backoffMultiplier, breaker.openCount),
+      settings.circuitBreaker.maxOpenDuration
+    );
+
+    if (breaker.state === 'closed') {
+      recordEvent('server-down', { server: server, errorRate: getErrorRate(breaker) });
+    }
+
+    breaker.state = 'open';
+    breaker.openCount++;
+    breaker.openUntil = Date.now() + (duration * 1000);
+  }
+
+  function closeCircuit(server, breaker) {
+    recordEvent('server-up', { server: server });
+
+    breaker.state = 'closed';
+    breaker.openCount = 0;
+    breaker.consecutiveFailures = 0;
+    breaker.outcomes = []; // Old failures must not reopen a recovered origin
+
+    startFailback(server, Date.now());
+  }
+
+  function markServerDown(server) {
+    const breaker = getBreaker(server);
+    recordFailbackOutcome(server, false);
+    breaker.outcomes.push({ at: Date.now(), ok: false });
+    breaker.consecutiveFailures++;
+    getServerStats(server).failures++;
+
+    if (breaker.state === 'half-open') {
+      // Trial failed - back off before the next one
+      breaker.halfOpenInFlight = Math.max(0, breaker.halfOpenInFlight - 1);
+      openCircuit(server, breaker);
+      return;
+    }
+
+    if (breaker.state === 'closed') {
+      const errorRate = getErrorRate(breaker); // Also drops outcomes outside the window
+      const tooManyInARow = breaker.consecutiveFailures >= settings.circuitBreaker.consecutiveFailures;
+      const tooManyInWindow = breaker.outcomes.length >= settings.circuitBreaker.minRequests &&
+        errorRate >= settings.circuitBreaker.errorRate;
+
+      if (tooManyInARow || tooManyInWindow) {
+        openCircuit(server, breaker);
+      }
+    }
+  }
+
+  function markServerUp(server) {
+    const breaker = getBreaker(server);
+    recordFailbackOutcome(server, true);
+    breaker.outcomes.push({ at: Date.now(), ok: true });
+    breaker.consecutiveFailures = 0;
+    getServerStats(server).failures = 0;
+
+    // A success while open can only come from a last-resort attempt - count it as a trial
+    if (breaker.state === 'open') {
+      enterHalfOpen(breaker);
+      breaker.halfOpenInFlight = 1;
+    }
+
+    if (breaker.state === 'half-open') {
+      breaker.halfOpenInFlight = Math.max(0, breaker.halfOpenInFlight - 1);
+      breaker.halfOpenSuccesses++;
+      if (breaker.halfOpenSuccesses >= settings.circuitBreaker.halfOpenRequests) {
+        closeCircuit(server, breaker);
+      }
+    }
+  }
+
+  // ============================================
+  // FAILBACK RAMP
+  // ============================================
+
+  function startFailback(server, startedAt) {
+    const current = failbacks.get(server);
+    if (current && current.startedAt >= startedAt) return;
+    failbacks.set(server, { startedAt: startedAt, requests: 0, failures: 0 });
+  }
+
+  // Share of its normal traffic (0-1) an origin gets while ramping up after recovery
+  function getFailbackShare(server) {
+    // Recovery seen by the health checks - every isolate ramps from the same moment
+    const recoveredAt = sharedState.servers[server]?.recoveredAt;
+    if (recoveredAt) {
+      startFailback(server, recoveredAt);
+    }
+
+    const failback = failbacks.get(server);
+    if (!failback) return 1;
+
+    const step = Math.floor((Date.now() - failback.startedAt) / (settings.failback.stepInterval * 1000));
+    if (step >= settings.failback.steps.length) {
+      failbacks.delete(server);
+      return 1;
+    }
+    return settings.failback.steps[Math.max(step, 0)] / 100;
+  }
+
+  // Count outcomes during the ramp and send traffic back to the backup if errors spike
+  function recordFailbackOutcome(server, ok) {
+    const failback = failbacks.get(server);
+    if (!failback) return;
+
+    failback.requests++;
+    if (!ok) failback.failures++;
+
+    if (failback.requests >= settings.failback.minRequests &&
+        failback.failures / failback.requests >= settings.failback.abortErrorRate) {
+      failbacks.delete(server);
+      recordEvent('failback-aborted', { server: server, failures: failback.failures, requests: failback.requests });
+
+      const breaker = getBreaker(server);
+      if (breaker.state !== 'open') {
+        openCircuit(server, breaker);
+      }
+    }
+  }
+
+  // ============================================
+  // STATS
+  // ============================================
+
+  function getServerStats(server) {
+    if (!serverStats.has(server)) {
+      serverStats.set(server, { avgResponseTime: 0, requestCount: 0, failures: 0, latencies: [] });
+    }
+    return serverStats.get(server);
+  }
+
+  function recordResponseTime(server, responseTime, colo = null) {
+    const stats = getServerStats(server);
+
+    // Rolling average over the last ~100 requests
+    stats.requestCount++;
+    stats.avgResponseTime = stats.avgResponseTime +
+      (responseTime - stats.avgResponseTime) / Math.min(stats.requestCount, 100);
+
+    stats.latencies.push(responseTime);
+    if (stats.latencies.length > LATENCY_SAMPLES) {
+      stats.latencies.shift();
+    }
+
+    if (colo) {
+      const key = `${colo}|${server}`;
+      const previous = coloLatency.get(key);
+      coloLatency.set(key, previous === undefined
+        ? responseTime
+        : previous + settings.geo.latencyAlpha * (responseTime - previous));
+    }
+  }
+
+  function getColoLatency(colo, server) {
+    return coloLatency.get(`${colo}|${server}`);
+  }
+
+  // ============================================
+  // SHARED STATE
+  // ============================================
+
+  // Load shared state from KV (cached in memory to reduce KV reads)
+  async function loadSharedState(env, force = false) {
+    if (!env?.LB_STATE || (!force && Date.now() < sharedState.expiry)) return;
+
+    try {
+      const [health, overrides, maintenance, cacheEpoch] = await Promise.all([
+        env.LB_STATE.get(SHARED_HEALTH_KEY, 'json'),
+        env.LB_STATE.get(SERVER_OVERRIDES_KEY, 'json'),
+        env.LB_STATE.get(MAINTENANCE_KEY, 'json'),
+        env.LB_STATE.get(CACHE_EPOCH_KEY)
+      ]);
+
+      // Another isolate invalidated cached mappings or branding - drop ours too
+      if (sharedState.cacheEpoch !== undefined && cacheEpoch !== sharedState.cacheEpoch) {
+        clearDomainCache();
+        clearBrandCache();
+      }
+
+      sharedState = {
+        servers: health?.servers || {},
+        updatedAt: health?.updatedAt || 0,
+        overrides: overrides || {},
+        maintenance: maintenance || {},
+        cacheEpoch: cacheEpoch,
+        expiry: Date.now() + (SHARED_HEALTH_TTL * 1000)
+      };
+    } catch (e) {
+      // KV unavailable - keep using the last known state and local health cache
+      sharedState.expiry = Date.now() + (SHARED_HEALTH_TTL * 1000);
+    }
+  }
+
+  function getSharedState() {
+    return sharedState;
+  }
+
+  // Apply a change made in this isolate without waiting for the next KV read
+  function updateSharedState(changes) {
+    sharedState = { ...sharedState, ...changes };
+  }
+
+  // Without LB_STATE the previous run is only known if it ran in this isolate recently
+  function getLocalHealthState() {
+    return Date.now() - sharedState.updatedAt > SHARED_HEALTH_MAX_AGE * 1000 ? null : sharedState;
+  }
+
+  // Other isolates drop their domain and brand caches when they see a new epoch
+  async function bumpCacheEpoch(env) {
+    const epoch = String(Date.now());
+    await env.LB_STATE.put(CACHE_EPOCH_KEY, epoch);
+    sharedState.cacheEpoch = epoch;
+  }
+
+  // Newest first
+  function getRecentEvents() {
+    return [...recentEvents].reverse();
+  }
+
+  // What this isolate knows about an origin (shown on the status page)
+  function describeServer(server) {
+    const breaker = breakers.get(server);
+    const stats = getServerStats(server);
+
+    return {
+      markedDown: isServerMarkedDown(server),
+      override: sharedState.overrides[server] || null,
+      healthCheck: sharedState.servers[server] || null,
+      circuit: breaker ? breaker.state : 'closed',
+      coordinatorDown: isServerCoordinatedDown(server),
+      failbackShare: getFailbackShare(server),
+      circuitOpenUntil: breaker?.state === 'open' ? new Date(breaker.openUntil).toISOString() : null,
+      errorRate: breaker ? Math.round(getErrorRate(breaker) * 100) / 100 : 0,
+      avgResponseTime: Math.round(stats.avgResponseTime),
+      failures: stats.failures
+    };
+  }
+
+  return {
+    isServerMarkedDown,
+    isServerDrained,
+    acquireBreakerPermit,
+    releaseBreakerPermit,
+    markServerDown,
+    markServerUp,
+    getFailbackShare,
+    getServerStats,
+    getColoLatency,
+    recordResponseTime,
+    recordEvent,
+    getRecentEvents,
+    describeServer,
+    loadSharedState,
+    getSharedState,
+    updateSharedState,
+    getLocalHealthState,
+    bumpCacheEpoch
+  };
+}
+
+// ============================================
+// HEALTH CHECKS
+// ============================================
+
+async function probeServer(server, check) {
+  const startTime = Date.now();
+
+  try {
+    const response = await fetchWithTimeout(`https://${server}${check.path}`, {
+      method: 'GET',
+      headers: { 'User-Agent': 'equidity-lb-healthcheck', 'X-LB-Health-Check': '1' },
+      redirect: 'manual'
+    }, { firstByte: check.timeout, total: check.timeout });
+
+    let healthy = check.expectedStatus.includes(response.status);
+    if (healthy && check.expectedBody) {
+      healthy = (await response.text()).includes(check.expectedBody);
+    }
+
+    return {
+      healthy: healthy,
+      status: response.status,
+      error: healthy ? null : 'unexpected response',
+      latency: Date.now() - startTime,
+      checkedAt: Date.now()
+    };
+  } catch (e) {
+    return {
+      healthy: false,
+      status: null,
+      error: e.message,
+      latency: Date.now() - startTime,
+      checkedAt: Date.now()
+    };
+  }
+}
+
+// Active health checks, run by the Cron Trigger
+export function createHealthChecks(settings, { router, pools, health, alerts }) {
+  const { getRoutingConfig } = router;
+  const { getPool, getTrafficPoolConfig } = pools;
+  const { getLocalHealthState, updateSharedState } = health;
+  const { queueAlert } = alerts;
+
+  // Collect every server to probe, with the health check settings of the first app using it
+  function getHealthCheckTargets(routing) {
+    const targets = new Map();
+    const configs = getRoutingApps(routing);
+    for (const config of [...configs]) {
+      for (const name of Object.keys(config.traffic?.pools || {})) {
+        configs.push(getTrafficPoolConfig(config, name));
+      }
+    }
+
+    for (const config of configs) {
+      const check = { ...settings.healthCheck, ...config.healthCheck };
+      for (const origin of getPool(config).origins) {
+        if (!targets.has(origin.host)) {
+          targets.set(origin.host, check);
+        }
+      }
+    }
+
+    return targets;
+  }
+
+  // Probe all servers and publish the results for every isolate to read. Without
+  // LB_STATE they only reach the isolate the cron ran in.
+  async function runHealthChecks(env) {
+    if (!env?.LB_STATE) {
+      console.warn(JSON.stringify({
+        message: 'LB_STATE is not bound - health check results only apply to this isolate'
+      }));
+    }
+
+    const targets = getHealthCheckTargets(await getRoutingConfig(env));
+    const [previous, results] = await Promise.all([
+      env?.LB_STATE ? env.LB_STATE.get(SHARED_HEALTH_KEY, 'json').catch(() => null) : getLocalHealthState(),
+      Promise.all([...targets].map(([server, check]) => probeServer(server, check)))
+    ]);
+
+    const servers = {};
+    const now = Date.now();
+    [...targets.keys()].forEach((server, i) => {
+      const before = previous?.servers?.[server];
+      const probe = results[i];
+
+      // A down server only counts as healthy again after several passing checks in a row
+      const streak = probe.healthy ? (before?.streak || 0) + 1 : 0;
+      const wasDown = before ? !before.healthy : false;
+      const healthy = probe.healthy && (!wasDown || streak >= settings.failback.healthyChecks);
+      const rampEnd = (before?.recoveredAt || 0) + (settings.failback.steps.length * settings.failback.stepInterval * 1000);
+
+      servers[server] = {
+        ...probe,
+        healthy: healthy,
+        probeHealthy: probe.healthy,
+        streak: streak,
+        recoveredAt: wasDown && healthy ? now : (healthy && rampEnd > now ? before.recoveredAt : null)
+      };
+
+      // Alert on transitions between probe runs
+      if (before && before.healthy !== healthy) {
+        queueAlert(server, healthy ? 'up' : 'down', 'health-check', {
+          status: probe.status,
+          error: probe.error
+        });
+      }
+    });
+
+    const state = { servers: servers, updatedAt: Date.now() };
+    if (env?.LB_STATE) {
+      await env.LB_STATE.put(SHARED_HEALTH_KEY, JSON.stringify(state));
+    } else {
+      updateSharedState({ servers: servers, updatedAt: state.updatedAt });
+    }
+    return state;
+  }
+
+  return { runHealthChecks };
+}
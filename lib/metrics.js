@@ -0,0 +1,183 @@
+/**
+ * Request logs, Analytics Engine events and Prometheus metrics (/__lb/metrics)
+ */
+import { jsonResponse, logEvent } from './util.js';
+import { getRoutingApps } from './routing.js';
+import { authenticateStatus } from './status.js';
+
+const METRIC_HELP = {
+  lb_requests_total: ['counter', 'Requests handled, by app, serving origin and status class'],
+  lb_failovers_total: ['counter', 'Requests (or WebSocket sessions) that failed over to another origin'],
+  lb_retries_total: ['counter', 'Requests re-sent to another origin after a failed attempt'],
+  lb_retry_blocked_total: ['counter', 'Failed requests not retried because it was not safe'],
+  lb_stale_responses_total: ['counter', 'Requests answered from the stale-on-error cache after every origin failed'],
+  lb_rate_limited_total: ['counter', 'Requests rejected with 429, by app and rate limit rule'],
+  lb_hedged_requests_total: ['counter', 'Requests also sent to a second origin, by which one won (first, hedge, failed)'],
+  lb_origin_attempts_total: ['counter', 'Requests sent to an origin, by result (ok, timeout, connect, dropped, 5xx, invalid, aborted)'],
+  lb_request_duration_seconds: ['summary', 'Time to response headers, including failed attempts']
+};
+
+function labelKey(labels) {
+  return Object.entries(labels).map(([k, v]) => `${k}=${v}`).join(',');
+}
+
+// Attempts that count as failed (a hedge's aborted loser didn't fail)
+export function isFailedAttempt(attempt) {
+  return attempt.failure !== null && attempt.failure !== 'aborted';
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}`;
+}
+
+// Counters of one load balancer in this isolate, and its per-request log
+export function createMetrics(settings, { router, pools, health }) {
+  const { getRoutingConfig } = router;
+  const { getPool } = pools;
+  const { isServerMarkedDown, loadSharedState } = health;
+
+  // Prometheus counters for this isolate: metric name -> Map(label key -> { labels, value })
+  const metrics = new Map();
+  const isolateStartTime = Date.now();
+
+  function getSeries(name, labels) {
+    if (!metrics.has(name)) metrics.set(name, new Map());
+    const series = metrics.get(name);
+    const key = labelKey(labels);
+    if (!series.has(key)) {
+      series.set(key, { labels: labels, value: 0, sum: 0, count: 0 });
+    }
+    return series.get(key);
+  }
+
+  function incrementCounter(name, labels, value = 1) {
+    getSeries(name, labels).value += value;
+  }
+
+  function observeSummary(name, labels, value) {
+    const entry = getSeries(name, labels);
+    entry.sum += value;
+    entry.count++;
+  }
+
+  // One structured event per request: console JSON, Analytics Engine and Prometheus counters
+  function logRequest(env, trace, status) {
+    const failures = trace.attempts.filter(isFailedAttempt);
+    const sent = trace.attempts.filter((a) => a.failure !== 'aborted');
+    const event = {
+      type: 'request',
+      host: trace.host,
+      app: trace.app,
+      rule: trace.rule,
+      method: trace.method,
+      path: trace.path,
+      websocket: trace.websocket,
+      status: status,
+      latency: Date.now() - trace.startTime,
+      servedBy: trace.servedBy,
+      attempts: trace.attempts,
+      retries: Math.max(sent.length - 1, 0),
+      failover: failures.length > 0 && trace.servedBy !== null,
+      failureReason: failures.length > 0 ? failures[failures.length - 1].failure : null,
+      retryBlocked: trace.retryBlocked,
+      stale: trace.stale,
+      colo: trace.colo,
+      pool: trace.pool,
+      rateLimited: trace.rateLimited,
+      offender: trace.offender,
+      hedged: trace.hedged
+    };
+
+    const statusClass = `${Math.floor(status / 100)}xx`;
+    incrementCounter('lb_requests_total', { app: event.app, origin: event.servedBy || 'none', status: statusClass });
+    observeSummary('lb_request_duration_seconds', { app: event.app }, event.latency / 1000);
+    if (event.failover) incrementCounter('lb_failovers_total', { app: event.app });
+    if (event.retries > 0) incrementCounter('lb_retries_total', { app: event.app }, event.retries);
+    if (event.retryBlocked) incrementCounter('lb_retry_blocked_total', { app: event.app, reason: event.retryBlocked });
+    if (event.stale) incrementCounter('lb_stale_responses_total', { app: event.app });
+    if (event.rateLimited) incrementCounter('lb_rate_limited_total', { app: event.app, rule: event.rateLimited });
+    if (event.hedged) incrementCounter('lb_hedged_requests_total', { app: event.app, winner: event.hedged });
+
+    if (settings.requestLogging === 'all' || (settings.requestLogging === 'failures' && (failures.length > 0 || status >= 500))) {
+      logEvent(event);
+    }
+
+    // Workers Analytics Engine - blobs/doubles positions are the dataset's schema, keep them stable
+    if (env?.LB_ANALYTICS) {
+      try {
+        env.LB_ANALYTICS.writeDataPoint({
+          indexes: [event.app],
+          blobs: [
+            event.host,
+            event.rule || '',
+            event.servedBy || '',
+            event.failureReason || '',
+            trace.attempts.map((a) => a.origin).join(' '),
+            event.method,
+            event.retryBlocked || '',
+            event.colo || '',
+            event.pool || ''
+          ],
+          doubles: [status, event.latency, event.retries, event.failover ? 1 : 0]
+        });
+      } catch (e) {
+        // Analytics must never break a request
+      }
+    }
+  }
+
+  // Prometheus text exposition format (version 0.0.4)
+  async function renderMetrics(env) {
+    const lines = [];
+
+    for (const [name, [type, help]] of Object.entries(METRIC_HELP)) {
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+      for (const entry of (metrics.get(name) || new Map()).values()) {
+        if (type === 'summary') {
+          lines.push(`${name}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+          lines.push(`${name}_count${formatLabels(entry.labels)} ${entry.count}`);
+        } else {
+          lines.push(`${name}${formatLabels(entry.labels)} ${entry.value}`);
+        }
+      }
+    }
+
+    // Current origin state, for every origin in the routing table
+    await loadSharedState(env);
+    const routing = await getRoutingConfig(env);
+    const origins = new Set();
+    for (const config of getRoutingApps(routing)) {
+      getPool(config).origins.forEach((o) => origins.add(o.host));
+    }
+
+    lines.push('# HELP lb_origin_up Whether the origin currently receives traffic (1) or is marked down (0)');
+    lines.push('# TYPE lb_origin_up gauge');
+    for (const origin of origins) {
+      lines.push(`lb_origin_up${formatLabels({ origin: origin })} ${isServerMarkedDown(origin) ? 0 : 1}`);
+    }
+
+    lines.push('# HELP lb_isolate_start_time_seconds When this isolate started (counters reset on restart)');
+    lines.push('# TYPE lb_isolate_start_time_seconds gauge');
+    lines.push(`lb_isolate_start_time_seconds ${Math.floor(isolateStartTime / 1000)}`);
+
+    return lines.join('\n') + '\n';
+  }
+
+  async function handleMetrics(request, env) {
+    if (!(await authenticateStatus(request, env))) {
+      return jsonResponse({ error: 'Unauthorized' }, 401);
+    }
+
+    return new Response(await renderMetrics(env), {
+      headers: { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8', 'Cache-Control': 'no-store' }
+    });
+  }
+
+  return { incrementCounter, logRequest, handleMetrics };
+}
@@ -0,0 +1,197 @@
+/**
+ * Error and maintenance pages (see ERROR_PAGES in lib/settings.js), branded per tenant,
+ * app or default from LB_STATE. Clients preferring JSON get RFC 9457 problem details.
+ */
+import { escapeHtml, isPlainObject } from './util.js';
+
+export const BRAND_KEY_PREFIX = 'brand:';
+
+const ERROR_KINDS = {
+  'not-configured': {
+    status: 404,
+    title: 'App Not Configured',
+    message: 'This domain is not configured in the load balancer.'
+  },
+  unavailable: {
+    status: 503,
+    title: 'Service Temporarily Unavailable',
+    message: 'We are experiencing technical difficulties. Please try again in a moment.'
+  },
+  timeout: {
+    status: 504,
+    title: 'Gateway Timeout',
+    message: 'The server did not respond in time. Your request may already have been processed, so it was not sent again.'
+  },
+  maintenance: {
+    status: 503,
+    title: 'Down for Maintenance',
+    message: 'We are performing scheduled maintenance. Please check back soon.'
+  },
+  'rate-limited': {
+    status: 429,
+    title: 'Too Many Requests',
+    message: 'You are sending requests too quickly. Please slow down and try again shortly.'
+  }
+};
+
+// True when the client ranks a JSON type above HTML in its Accept header
+function prefersJson(request) {
+  const quality = { json: 0, html: 0 };
+  for (const range of (request.headers.get('Accept') || '').split(',')) {
+    const [type, ...params] = range.trim().toLowerCase().split(';');
+    const q = parseFloat(params.find((p) => p.trim().startsWith('q='))?.split('=')[1] ?? '1');
+    if (type === 'application/json' || type.endsWith('+json')) {
+      quality.json = Math.max(quality.json, q);
+    } else if (type === 'text/html') {
+      quality.html = Math.max(quality.html, q);
+    }
+  }
+  return quality.json > quality.html;
+}
+
+function renderErrorHtml(page, brand) {
+  const color = brand.primaryColor || 'inherit';
+  const logo = brand.logoUrl
+    ? `<img src="${escapeHtml(brand.logoUrl)}" alt="${escapeHtml(brand.name || '')}" style="max-height: 64px; margin-bottom: 1rem;">`
+    : '';
+  const contact = [
+    brand.supportEmail ? `<a href="mailto:${escapeHtml(brand.supportEmail)}" style="color: ${escapeHtml(color)};">${escapeHtml(brand.supportEmail)}</a>` : '',
+    brand.supportUrl ? `<a href="${escapeHtml(brand.supportUrl)}" style="color: ${escapeHtml(color)};">${escapeHtml(brand.supportUrl)}</a>` : ''
+  ].filter(Boolean).join(' &middot; ');
+
+  return '<!DOCTYPE html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">' +
+    `<title>${escapeHtml(page.title)}${brand.name ? ' - ' + escapeHtml(brand.name) : ''}</title></head>` +
+    `<body style="font-family: system-ui; display: flex; justify-content: center; align-items: center; height: 100vh; margin: 0; background: ${escapeHtml(brand.backgroundColor || '#fff')};">` +
+    `<div style="text-align: center; max-width: 36rem; padding: 1rem;">${logo}` +
+    `<h1 style="color: ${escapeHtml(color)};">${escapeHtml(page.title)}</h1><p>${escapeHtml(page.message)}</p>` +
+    (contact ? `<p>Need help? ${contact}</p>` : '') +
+    '</div></body></html>';
+}
+
+// Manual maintenance set through the admin API (`maintenance` is the shared state's
+// entry list), for a tenant host or a whole app
+export function getMaintenance(maintenance, host, app) {
+  const entry = maintenance[host] || maintenance[app];
+  if (!entry || (entry.until && Date.parse(entry.until) <= Date.now())) {
+    return null;
+  }
+  return entry;
+}
+
+const BRAND_FIELDS = ['name', 'logoUrl', 'primaryColor', 'backgroundColor', 'supportEmail', 'supportUrl'];
+
+export function validateBrand(brand) {
+  const errors = [];
+  if (!isPlainObject(brand)) {
+    return ['brand: must be an object'];
+  }
+
+  for (const [key, value] of Object.entries(brand)) {
+    if (key === 'pages') continue;
+    if (!BRAND_FIELDS.includes(key)) {
+      errors.push(`${key}: unknown field`);
+    } else if (typeof value !== 'string') {
+      errors.push(`${key}: must be a string`);
+    }
+  }
+  for (const key of ['logoUrl', 'supportUrl']) {
+    if (typeof brand[key] === 'string' && !brand[key].startsWith('https://')) {
+      errors.push(`${key}: must be an https:// URL`);
+    }
+  }
+  for (const key of ['primaryColor', 'backgroundColor']) {
+    if (typeof brand[key] === 'string' && !/^#[0-9a-f]{3,8}$/i.test(brand[key])) {
+      errors.push(`${key}: must be a hex color like #0a84ff`);
+    }
+  }
+
+  if (brand.pages !== undefined) {
+    if (!isPlainObject(brand.pages)) {
+      errors.push('pages: must be an object');
+    } else {
+      for (const [kind, page] of Object.entries(brand.pages)) {
+        if (!ERROR_KINDS[kind]) {
+          errors.push(`pages.${kind}: must be one of ${Object.keys(ERROR_KINDS).join(', ')}`);
+        } else if (!isPlainObject(page) || Object.entries(page).some(([k, v]) => !['title', 'message'].includes(k) || typeof v !== 'string')) {
+          errors.push(`pages.${kind}: may only set title and message strings`);
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Error pages of one load balancer, with its branding cache
+export function createErrorPages(settings) {
+  // Branding per host/app/default, cached like domain mappings
+  const brandCache = new Map();
+
+  // Tenant branding overrides app branding, which overrides the default
+  async function getBrand(env, keys) {
+    if (!env?.LB_STATE) return {};
+
+    const brands = await Promise.all(keys.map(async (key) => {
+      const cached = brandCache.get(key);
+      if (cached && Date.now() < cached.expiry) {
+        return cached.brand;
+      }
+
+      let brand = null;
+      try {
+        brand = await env.LB_STATE.get(BRAND_KEY_PREFIX + key, 'json');
+      } catch (e) {
+        return cached?.brand || null; // KV unavailable - keep the stale copy
+      }
+      brandCache.set(key, { brand: brand, expiry: Date.now() + (settings.errorPages.brandCacheTtl * 1000) });
+      return brand;
+    }));
+
+    return brands.reverse().reduce((merged, brand) => brand ? {
+      ...merged,
+      ...brand,
+      pages: { ...merged.pages, ...brand.pages }
+    } : merged, {});
+  }
+
+  // Error or maintenance response generated by the load balancer itself
+  async function errorResponse(request, env, trace, kind, options = {}) {
+    const defaults = ERROR_KINDS[kind];
+    const brand = await getBrand(env, [trace.host, trace.app, 'default']);
+    const page = { ...defaults, ...brand.pages?.[kind], ...options };
+    const retryAfter = options.retryAfter || (defaults.status === 503 ? settings.errorPages.retryAfter : null);
+
+    const headers = { 'Cache-Control': 'no-store' };
+    if (retryAfter) {
+      headers['Retry-After'] = String(retryAfter);
+    }
+
+    if (prefersJson(request)) {
+      headers['Content-Type'] = 'application/problem+json';
+      return new Response(JSON.stringify({
+        type: 'about:blank',
+        title: page.title,
+        status: defaults.status,
+        detail: page.message,
+        instance: new URL(request.url).pathname,
+        code: kind,
+        retryAfter: retryAfter || undefined,
+        support: brand.supportEmail || brand.supportUrl || undefined
+      }), { status: defaults.status, headers: headers });
+    }
+
+    headers['Content-Type'] = 'text/html; charset=utf-8';
+    return new Response(renderErrorHtml(page, brand), { status: defaults.status, headers: headers });
+  }
+
+  // Forget cached branding (all of it without `key`)
+  function clearBrandCache(key) {
+    if (key) {
+      brandCache.delete(key);
+    } else {
+      brandCache.clear();
+    }
+  }
+
+  return { errorResponse, clearBrandCache };
+}
@@ -0,0 +1,313 @@
+/**
+ * Pool selection: the order origins are tried in (priority tiers, pool mode, failback
+ * ramps), canary/blue-green traffic rules and session affinity
+ */
+import { getCookie, hashString, hmacHex, timingSafeEqual } from './util.js';
+
+export const AFFINITY_METHODS = ['cookie', 'header', 'ip'];
+
+// Move one origin, picked at random by weight, to the front
+function orderByWeight(origins, weightOf) {
+  const totalWeight = origins.reduce((sum, o) => sum + weightOf(o), 0);
+  const random = Math.random() * totalWeight;
+
+  let cumulative = 0;
+  let selectedIndex = 0;
+
+  for (let i = 0; i < origins.length; i++) {
+    cumulative += weightOf(origins[i]);
+    if (random <= cumulative) {
+      selectedIndex = i;
+      break;
+    }
+  }
+
+  const rest = [...origins];
+  const selected = rest.splice(selectedIndex, 1)[0];
+  return [selected, ...rest];
+}
+
+// Where the visitor is, from the Cloudflare colo that received the request
+export function getLocation(request) {
+  return {
+    colo: request.cf?.colo || null,
+    continent: request.cf?.continent || null
+  };
+}
+
+function matchesValue(actual, expected) {
+  return actual !== null && (expected === undefined || actual === expected);
+}
+
+// Weighted rendezvous hashing: when an origin goes down only its sessions move
+function pickByHash(key, origins) {
+  let best = null;
+  let bestScore = -Infinity;
+
+  for (const origin of origins) {
+    if (origin.weight <= 0) continue;
+    const random = (hashString(`${key}|${origin.host}`) + 1) / 4294967297;
+    const score = -origin.weight / Math.log(random);
+    if (score > bestScore) {
+      best = origin;
+      bestScore = score;
+    }
+  }
+
+  return best;
+}
+
+// Move the pinned origin to the front if it is healthy and in the tier now serving
+export function preferPinned(origins, affinity) {
+  if (!affinity || origins.length < 2) return origins;
+
+  const tier = origins[0].tier;
+  const serving = origins.filter((o) => o.tier === tier);
+  const pinned = affinity.key
+    ? pickByHash(affinity.key, serving)
+    : serving.find((o) => o.name === affinity.name);
+
+  if (!pinned) return origins;
+  return [pinned, ...origins.filter((o) => o !== pinned)];
+}
+
+// Pools of one load balancer, ordered by what `health` knows about each origin
+export function createPoolSelector(settings, { health }) {
+  const { getColoLatency, getFailbackShare, getServerStats, isServerMarkedDown } = health;
+
+  // Normalized pools, built once per app config
+  const poolCache = new WeakMap();
+
+  // Turn a primary/backup pair or an origins list into { mode, origins } (cached per config)
+  function getPool(config) {
+    let pool = poolCache.get(config);
+    if (pool) return pool;
+
+    const origins = config.origins
+      ? config.origins.map((o, i) => ({
+          name: o.name || o.host,
+          host: o.host,
+          weight: o.weight ?? 1,
+          tier: o.tier ?? 1,
+          region: o.region || null,
+          colos: o.colos || [],
+          index: i
+        }))
+      : [
+          { name: 'primary', host: config.primary, weight: 1, tier: 1, index: 0 },
+          { name: 'backup', host: config.backup, weight: 1, tier: 2, index: 1 }
+        ];
+
+    const tiers = [...new Set(origins.map((o) => o.tier))].sort((a, b) => a - b);
+
+    pool = {
+      mode: config.mode || 'failover',
+      origins: origins,
+      tiers: tiers,
+      first: origins.find((o) => o.tier === tiers[0]), // Last resort when everything is down
+      rrCounter: 0
+    };
+    poolCache.set(config, pool);
+    return pool;
+  }
+
+  function calculateSmartWeight(origin) {
+    const stats = getServerStats(origin.host);
+    let weight = origin.weight;
+
+    // Reduce weight if server is slow
+    if (stats.avgResponseTime > settings.smart.slowThreshold) {
+      weight = weight / (stats.avgResponseTime / settings.smart.slowThreshold);
+    }
+
+    // Reduce weight based on recent failures
+    if (stats.failures > 0) {
+      weight = weight / (stats.failures + 1);
+    }
+
+    return Math.max(settings.smart.minWeight, Math.min(settings.smart.maxWeight, weight));
+  }
+
+  // Estimated cost (ms) of serving a visitor in `location` ({ colo, continent }) from an origin
+  function calculateGeoCost(origin, location) {
+    let distance = 'remote';
+    if (location.colo && origin.colos.includes(location.colo)) {
+      distance = 'colo';
+    } else if (location.continent && origin.region === location.continent) {
+      distance = 'continent';
+    }
+
+    const latency = getColoLatency(location.colo, origin.host);
+    return settings.geo.penalty[distance] + (latency ?? settings.geo.unknownLatency);
+  }
+
+  function orderTier(pool, origins, location) {
+    if (origins.length < 2) return origins;
+
+    switch (pool.mode) {
+      case 'round-robin': {
+        const start = pool.rrCounter++ % origins.length;
+        return [...origins.slice(start), ...origins.slice(0, start)];
+      }
+      case 'weighted':
+        return orderByWeight(origins, (o) => o.weight);
+      case 'smart':
+        return orderByWeight(origins, calculateSmartWeight);
+      case 'geo':
+        return origins
+          .map((o) => ({ origin: o, cost: calculateGeoCost(o, location) }))
+          .sort((a, b) => a.cost - b.cost || a.origin.index - b.origin.index)
+          .map((o) => o.origin);
+      case 'failover':
+      default:
+        return origins;
+    }
+  }
+
+  // Healthy origins in the order they should be tried: tier by tier, ordered by pool mode.
+  // Origins ramping up after recovery only take their current share of requests;
+  // for the rest they are tried after every other healthy origin.
+  function selectOrigins(pool, location = {}) {
+    const ordered = [];
+    const deferred = [];
+
+    for (const tier of pool.tiers) {
+      const available = [];
+      for (const origin of pool.origins) {
+        if (origin.tier !== tier || isServerMarkedDown(origin.host)) continue;
+        (Math.random() < getFailbackShare(origin.host) ? available : deferred).push(origin);
+      }
+      ordered.push(...orderTier(pool, available, location));
+    }
+
+    return [...ordered, ...deferred];
+  }
+
+  // ============================================
+  // TRAFFIC RULES (CANARY / BLUE-GREEN)
+  // ============================================
+
+  // Effective app config per alternate pool, built once so pool state (round-robin
+  // counters, etc.) survives between requests
+  const trafficPoolCache = new WeakMap();
+
+  function getTrafficPoolConfig(config, name) {
+    if (!trafficPoolCache.has(config)) {
+      trafficPoolCache.set(config, new Map());
+    }
+
+    const pools = trafficPoolCache.get(config);
+    if (!pools.has(name)) {
+      // The pool replaces the app's origins; everything else is inherited unless overridden
+      const base = { ...config };
+      for (const key of ['primary', 'backup', 'origins', 'mode', 'traffic']) {
+        delete base[key];
+      }
+      pools.set(name, { ...base, ...config.traffic.pools[name] });
+    }
+    return pools.get(name);
+  }
+
+  function matchesTrafficRule(rule, request, host, bucket) {
+    if (rule.header && !matchesValue(request.headers.get(rule.header.name), rule.header.value)) {
+      return false;
+    }
+    if (rule.cookie && !matchesValue(getCookie(request, rule.cookie.name), rule.cookie.value)) {
+      return false;
+    }
+    if (rule.hosts && !rule.hosts.includes(host)) {
+      return false;
+    }
+    if (rule.percent !== undefined && bucket >= rule.percent) {
+      return false;
+    }
+    return true;
+  }
+
+  // Pick the pool for this request: { name, config, newBucket } where newBucket is set
+  // when the visitor still needs a bucket cookie
+  function selectTrafficPool(request, config, host) {
+    const traffic = config.traffic;
+    if (!traffic?.rules?.length) {
+      return { name: 'default', config: config, newBucket: null };
+    }
+
+    let bucket = null;
+    let newBucket = null;
+    if (traffic.rules.some((rule) => rule.percent !== undefined)) {
+      bucket = parseInt(getCookie(request, settings.traffic.bucketCookie), 10);
+      if (!(bucket >= 0 && bucket < 100)) {
+        bucket = newBucket = Math.floor(Math.random() * 100);
+      }
+    }
+
+    const rule = traffic.rules.find((r) => matchesTrafficRule(r, request, host, bucket));
+    if (!rule || rule.pool === 'default') {
+      return { name: 'default', config: config, newBucket: newBucket };
+    }
+    return { name: rule.pool, config: getTrafficPoolConfig(config, rule.pool), newBucket: newBucket };
+  }
+
+  // Report the served pool and hand out the bucket cookie (not on WebSocket upgrades)
+  function withTrafficHeaders(response, target) {
+    if (response.status === 101) return response;
+
+    const newResponse = new Response(response.body, response);
+    newResponse.headers.set('X-Served-Pool', target.name);
+    if (target.newBucket !== null) {
+      newResponse.headers.append(
+        'Set-Cookie',
+        `${settings.traffic.bucketCookie}=${target.newBucket}; Max-Age=${settings.traffic.bucketMaxAge}; Path=/; Secure; SameSite=Lax`
+      );
+    }
+    return newResponse;
+  }
+
+  // ============================================
+  // SESSION AFFINITY
+  // ============================================
+
+  // Resolve what this request is pinned to: { settings, app, name } for a valid
+  // affinity cookie, { settings, key } for header/IP hashing, or null
+  async function getAffinity(request, env, config, app) {
+    if (!config.affinity || getPool(config).mode === 'failover') return null;
+
+    const affinity = { ...settings.affinity, ...config.affinity };
+    if (affinity.method === 'cookie') {
+      if (!env?.AFFINITY_SECRET) return null;
+
+      const cookie = getCookie(request, affinity.cookieName);
+      const [name, signature] = (cookie ? decodeURIComponent(cookie) : '').split('|');
+      const valid = name && signature &&
+        timingSafeEqual(signature, await hmacHex(env.AFFINITY_SECRET, `${app}|${name}`));
+      return { settings: affinity, app: app, name: valid ? name : null, secret: env.AFFINITY_SECRET };
+    }
+
+    const key = affinity.method === 'header'
+      ? request.headers.get(affinity.header)
+      : request.headers.get('CF-Connecting-IP');
+    return key ? { settings: affinity, key: key } : null;
+  }
+
+  // (Re)issue the affinity cookie when the visitor landed on a different origin
+  async function setAffinityCookie(response, affinity, origin) {
+    if (!affinity?.secret || affinity.name === origin.name) return;
+
+    const signature = await hmacHex(affinity.secret, `${affinity.app}|${origin.name}`);
+    response.headers.append(
+      'Set-Cookie',
+      `${affinity.settings.cookieName}=${encodeURIComponent(`${origin.name}|${signature}`)}; ` +
+      `Max-Age=${affinity.settings.maxAge}; Path=/; HttpOnly; Secure; SameSite=Lax`
+    );
+  }
+
+  return {
+    getPool,
+    selectOrigins,
+    getTrafficPoolConfig,
+    selectTrafficPool,
+    withTrafficHeaders,
+    getAffinity,
+    setAffinityCookie
+  };
+}
@@ -0,0 +1,533 @@
+/**
+ * HTTP proxy: sends a request to the pool's origins in order with safe retries,
+ * response checks and hedging, streaming the request body with a copy kept for retries
+ */
+import { ORIGIN_UNREACHABLE_STATUSES } from './settings.js';
+import { fetchWithTimeout } from './util.js';
+import { getRoute } from './routing.js';
+import { getLocation, preferPinned } from './pool.js';
+import { isFailedAttempt } from './metrics.js';
+
+// May this request be sent to another origin after the given failure?
+function isRetryAllowed(request, policy, failure) {
+  if (failure === 'skipped' || failure === 'connect') return true;
+
+  if (policy.methods.includes(request.method)) return true;
+  if (policy.idempotencyKey && request.headers.has('Idempotency-Key')) return true;
+
+  const path = new URL(request.url).pathname;
+  return policy.safePaths.some((prefix) => path.startsWith(prefix));
+}
+
+// Copy the response so headers can be changed, and flag whether it came from a retry,
+// which request of a hedge won and whether the request body was too large to keep a
+// copy for retries
+function withLbHeaders(response, { retried, body, hedged }) {
+  const newResponse = new Response(response.body, response);
+  newResponse.headers.set('X-LB-Retried', retried ? 'true' : 'false');
+  if (hedged) {
+    newResponse.headers.set('X-LB-Hedged', hedged);
+  }
+  if (body.overLimit) {
+    newResponse.headers.set('X-LB-Replay-Buffer', 'exceeded');
+  }
+  return newResponse;
+}
+
+// ============================================
+// RESPONSE CHECKS
+// ============================================
+
+function checkAppliesTo(check, pathname) {
+  if (!check.paths) return true;
+  return check.paths.some((p) => (p.endsWith('*') ? pathname.startsWith(p.slice(0, -1)) : pathname === p));
+}
+
+// Read the start of a body - until `done(text)` is true, `limit` bytes were read or it
+// ended - and return that text along with a stream replaying the whole body
+async function peekBody(stream, limit, done) {
+  const reader = stream.getReader();
+  const decoder = new TextDecoder();
+  const chunks = [];
+  let text = '';
+  let size = 0;
+  let ended = false;
+
+  while (size < limit && !done(text)) {
+    const { done: finished, value } = await reader.read();
+    if (finished) {
+      ended = true;
+      break;
+    }
+    chunks.push(value);
+    size += value.byteLength;
+    text += decoder.decode(value, { stream: true });
+  }
+
+  const body = new ReadableStream({
+    start(controller) {
+      for (const chunk of chunks) controller.enqueue(chunk);
+      if (ended) controller.close();
+    },
+    async pull(controller) {
+      const { done: finished, value } = await reader.read();
+      if (finished) {
+        controller.close();
+      } else {
+        controller.enqueue(value);
+      }
+    },
+    cancel(reason) {
+      return reader.cancel(reason);
+    }
+  });
+  return { text: text, body: body };
+}
+
+// ============================================
+// REQUEST BODY REPLAY
+// ============================================
+
+// Read a stream into a single buffer, giving up (null) once it exceeds `limit` bytes
+async function readUpTo(stream, limit) {
+  const reader = stream.getReader();
+  const chunks = [];
+  let size = 0;
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    size += value.byteLength;
+    if (size > limit) {
+      await reader.cancel();
+      return null;
+    }
+    chunks.push(value);
+  }
+
+  const buffer = new Uint8Array(size);
+  let offset = 0;
+  for (const chunk of chunks) {
+    buffer.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return buffer.buffer;
+}
+
+// Keep Content-Length on a teed stream so origins don't get a chunked upload.
+// Copied chunk by chunk: workerd rejects pipeTo() from a tee branch into a
+// FixedLengthStream ("Inter-TransformStream ReadableStream.pipeTo() is not implemented").
+function withFixedLength(stream, length) {
+  if (!length || typeof FixedLengthStream === 'undefined') return stream;
+
+  const fixed = new FixedLengthStream(length);
+  const reader = stream.getReader();
+  const writer = fixed.writable.getWriter();
+  (async () => {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      await writer.write(value);
+    }
+    await writer.close();
+  })().catch((e) => {
+    reader.cancel(e).catch(() => {});
+    writer.abort(e).catch(() => {});
+  });
+  return fixed.readable;
+}
+
+// The first attempt streams the request body (no buffering before the first byte goes
+// upstream). A copy is read alongside it for retries, up to `limit` bytes.
+//   next()      - body for the next attempt (stream first, then the copy)
+//   canReplay() - whether another attempt can be sent with the full body
+//   overLimit   - the body was too large to keep a copy
+function createReplayableBody(request, limit) {
+  if (!request.body) {
+    return { overLimit: false, next: async () => null, canReplay: async () => true };
+  }
+
+  let used = false;
+  const contentLength = parseInt(request.headers.get('Content-Length'), 10) || 0;
+
+  // Known to be too large up front - stream it straight through without a copy
+  if (contentLength > limit) {
+    return {
+      overLimit: true,
+      next: async () => {
+        used = true;
+        return request.body;
+      },
+      canReplay: async () => !used
+    };
+  }
+
+  const [upstream, copy] = request.body.tee();
+  const body = { overLimit: false };
+  const replay = readUpTo(copy, limit).then((buffer) => {
+    if (buffer === null) body.overLimit = true;
+    return buffer;
+  }, () => null);
+
+  body.next = async () => {
+    if (!used) {
+      used = true;
+      return withFixedLength(upstream, contentLength);
+    }
+    return replay;
+  };
+  body.canReplay = async () => !used || (await replay) !== null;
+
+  return body;
+}
+
+// ============================================
+// PROXY
+// ============================================
+
+// Proxy of one load balancer; hedge budgets are kept per app in this isolate
+export function createProxy(settings, { router, pools, health, coordinator, headers, pages, metrics }) {
+  const { getTimeouts } = router;
+  const { getAffinity, getPool, selectOrigins, setAffinityCookie } = pools;
+  const {
+    acquireBreakerPermit,
+    getServerStats,
+    isServerDrained,
+    isServerMarkedDown,
+    markServerDown,
+    markServerUp,
+    recordEvent,
+    recordResponseTime,
+    releaseBreakerPermit
+  } = health;
+  const { isCoordinated, queueReport } = coordinator;
+  const { buildUpstreamHeaders } = headers;
+  const { errorResponse } = pages;
+  const { incrementCounter } = metrics;
+
+  // Hedges each app may still send (see HEDGE in lib/settings.js)
+  const hedgeBudgets = new Map();
+
+  // Add an attempt to the request trace (used for logs and metrics)
+  function recordAttempt(trace, server, startTime, status, failure, error = null) {
+    const attempt = {
+      origin: server,
+      status: status,
+      failure: failure,
+      error: error,
+      latency: Date.now() - startTime
+    };
+    trace?.attempts.push(attempt);
+    incrementCounter('lb_origin_attempts_total', { origin: server, result: failure || 'ok' });
+
+    // A lost hedge says nothing about the origin's health (see isFailedAttempt)
+    if (trace && !trace.offender && failure !== 'aborted' && isCoordinated(trace.app)) {
+      queueReport(trace.app, server, !failure);
+    }
+  }
+
+  // Returns { response } on success, otherwise { failure, response? } where failure is:
+  //   'skipped' - not attempted (drained or marked down)
+  //   'connect' - the origin never received the request (Cloudflare 52x; safe to retry)
+  //   'timeout' - no response in time; the origin may have processed it
+  //   'dropped' - the connection failed; it may have dropped after the request was sent
+  //   '5xx'     - the origin answered with a server error (response is included)
+  //   'invalid' - the response failed one of the app's responseChecks (response is included)
+  //   'aborted' - cancelled through `options.signal` (lost a hedge); not held against the origin
+  async function tryServer(server, request, headers, body, options = {}) {
+    // Never send traffic to a server drained by an admin, even as a last resort
+    if (isServerDrained(server)) {
+      return { failure: 'skipped' };
+    }
+
+    // Skip if server is marked down (instant failover)
+    if (!options.skipHealthCheck && isServerMarkedDown(server)) {
+      return { failure: 'skipped' };
+    }
+
+    // Requests from rate limit offenders don't count towards origin health
+    const countsForHealth = !options.trace?.offender;
+    if (countsForHealth) acquireBreakerPermit(server);
+
+    const url = new URL(request.url);
+    const targetUrl = `https://${server}${url.pathname}${url.search}`;
+    const startTime = Date.now();
+
+    try {
+      const response = await fetchWithTimeout(
+        targetUrl,
+        {
+          method: request.method,
+          headers: headers,
+          body: await body.next(),
+          redirect: 'manual',
+          signal: options.signal
+        },
+        options.timeouts || settings.timeouts
+      );
+
+      recordResponseTime(server, Date.now() - startTime, request.cf?.colo);
+
+      if (response.status < 500) {
+        const checked = await checkResponse(response, options.responseChecks, url.pathname);
+        if (checked.problem) {
+          // Looks healthy but isn't serving the app - same as a 5xx
+          if (countsForHealth) markServerDown(server);
+          recordAttempt(options.trace, server, startTime, response.status, 'invalid', checked.problem);
+          return { failure: 'invalid', response: checked.response };
+        }
+
+        // Server responded - mark as up
+        if (countsForHealth) markServerUp(server);
+        recordAttempt(options.trace, server, startTime, response.status, null);
+        return { response: checked.response };
+      }
+
+      // 5xx error - mark as down
+      if (countsForHealth) markServerDown(server);
+      if (ORIGIN_UNREACHABLE_STATUSES.includes(response.status)) {
+        response.body?.cancel();
+        recordAttempt(options.trace, server, startTime, response.status, 'connect');
+        return { failure: 'connect' };
+      }
+      recordAttempt(options.trace, server, startTime, response.status, '5xx');
+      return { failure: '5xx', response: response };
+
+    } catch (e) {
+      if (options.signal?.aborted) {
+        if (countsForHealth) releaseBreakerPermit(server);
+        recordAttempt(options.trace, server, startTime, null, 'aborted');
+        return { failure: 'aborted' };
+      }
+
+      // Timeout or connection failed - mark as down. fetch() also rejects when the
+      // connection drops after the request went out, so the origin may have seen it.
+      if (countsForHealth) markServerDown(server);
+      const failure = e.name === 'TimeoutError' ? 'timeout' : 'dropped';
+      recordAttempt(options.trace, server, startTime, null, failure, e.message);
+      return { failure: failure };
+    }
+  }
+
+  function getRetryPolicy(config, route) {
+    return { ...settings.retry, ...config.retry, ...route.retry };
+  }
+
+  // Try each healthy origin in pool order (pass original host for tenant detection).
+  // If all are down, try the first origin again (in case it just came back).
+  async function proxyHttp(request, env, config, host, trace) {
+    const url = new URL(request.url);
+    const pool = getPool(config);
+    const route = getRoute(config, url.pathname);
+    const timeouts = getTimeouts(config, route);
+    const retryPolicy = getRetryPolicy(config, route);
+
+    // Stream the body upstream, keeping a size-capped copy in case we need to retry
+    const body = createReplayableBody(
+      request,
+      route.replayBufferLimit ?? config.replayBufferLimit ?? settings.replayBufferLimit
+    );
+    const affinity = await getAffinity(request, env, config, trace.app);
+    const headers = await buildUpstreamHeaders(request, env, config, host);
+    const candidates = [
+      ...preferPinned(selectOrigins(pool, getLocation(request)), affinity),
+      { ...pool.first, lastResort: true }
+    ];
+    const failedOrigins = () => trace.attempts.filter(isFailedAttempt).map((a) => a.origin);
+
+    // Slow first origins may be raced against the next one (see HEDGE in lib/settings.js)
+    const hedge = getHedgeConfig(config, route, request, trace);
+    const hedgeTarget = hedge &&
+      candidates.find((o, i) => i > 0 && !o.lastResort && o.host !== candidates[0].host);
+    if (hedge) earnHedgeBudget(trace.app, hedge);
+
+    for (const candidate of candidates) {
+      // Already sent alongside the first origin
+      if (trace.hedged && candidate === hedgeTarget) continue;
+
+      const options = {
+        timeouts: timeouts,
+        skipHealthCheck: candidate.lastResort,
+        responseChecks: config.responseChecks,
+        trace: trace
+      };
+      const { result, origin } = hedgeTarget && candidate === candidates[0]
+        ? await hedgeServers(candidate, hedgeTarget, request, headers, body, options, hedge)
+        : { result: await tryServer(candidate.host, request, headers, body, options), origin: candidate };
+      const sent = trace.attempts.filter((a) => a.failure !== 'aborted').length;
+
+      if (!result.failure) {
+        trace.servedBy = origin.host;
+        if (sent > 1 || origin.lastResort) {
+          recordEvent('failover', { host: host, failed: failedOrigins(), servedBy: origin.host });
+        }
+        const response = withLbHeaders(result.response, { retried: sent > 1, body: body, hedged: trace.hedged });
+        await setAffinityCookie(response, affinity, origin);
+        return response;
+      }
+
+      // Don't replay a request the origin may already have processed (e.g. a trade order),
+      // or one whose body was too large to keep a copy of
+      let blockedBy = null;
+      if (!isRetryAllowed(request, retryPolicy, result.failure)) {
+        blockedBy = result.failure;
+      } else if (!(await body.canReplay())) {
+        blockedBy = 'body-too-large';
+      }
+
+      if (blockedBy) {
+        trace.retryBlocked = blockedBy;
+        recordEvent('retry-blocked', { host: host, failed: failedOrigins(), reason: blockedBy });
+        if (result.response) {
+          return withLbHeaders(result.response, { retried: sent > 1, body: body });
+        }
+        if (result.failure !== 'timeout' && result.failure !== 'dropped') {
+          break;
+        }
+        return withLbHeaders(
+          await errorResponse(request, env, trace, 'timeout'),
+          { retried: sent > 1, body: body }
+        );
+      }
+
+      // Retrying - the failed response won't be used
+      result.response?.body?.cancel();
+    }
+
+    recordEvent('failover', { host: host, failed: failedOrigins(), servedBy: null });
+
+    // All servers failed
+    return withLbHeaders(
+      await errorResponse(request, env, trace, 'unavailable'),
+      { retried: trace.attempts.length > 1, body: body }
+    );
+  }
+
+  // Run the app's responseChecks (see lib/settings.js) against an origin response.
+  // Returns { problem, response }: `problem` describes the first failed check (null if
+  // all passed) and `response` must be used instead of the original, whose body may
+  // have been partly read to look for a marker.
+  async function checkResponse(response, checks, pathname) {
+    const applicable = (checks || []).filter((check) => checkAppliesTo(check, pathname));
+
+    for (const check of applicable) {
+      if (check.status?.includes(response.status)) {
+        return { problem: `status ${response.status}`, response: response };
+      }
+      if (check.header) {
+        const value = response.headers.get(check.header);
+        if (value === null || (check.value !== undefined && value !== check.value)) {
+          return { problem: `header ${check.header}`, response: response };
+        }
+      }
+    }
+
+    const markers = applicable.filter((check) => check.bodyMarker).map((check) => check.bodyMarker);
+    const isHtml = (response.headers.get('Content-Type') || '').includes('text/html');
+    if (markers.length === 0 || !isHtml || !response.body) {
+      return { problem: null, response: response };
+    }
+
+    const { text, body } = await peekBody(
+      response.body,
+      settings.bodyScanLimit,
+      (text) => markers.every((marker) => text.includes(marker))
+    );
+    const missing = markers.find((marker) => !text.includes(marker));
+    return {
+      problem: missing ? 'body marker' : null,
+      response: new Response(body, response)
+    };
+  }
+
+  // ============================================
+  // REQUEST HEDGING
+  // ============================================
+
+  // Hedge settings for this request, or null if it must not be hedged
+  function getHedgeConfig(config, route, request, trace) {
+    const hedge = route.hedge ?? config.hedge;
+    if (!hedge || trace.offender || !['GET', 'HEAD'].includes(request.method) || request.body) {
+      return null;
+    }
+    return hedge === true ? settings.hedge : { ...settings.hedge, ...hedge };
+  }
+
+  // 95th percentile of an origin's recent response times, or null with too few samples
+  function getP95Latency(server, minSamples) {
+    const samples = getServerStats(server).latencies;
+    if (samples.length === 0 || samples.length < minSamples) return null;
+
+    const sorted = [...samples].sort((a, b) => a - b);
+    return sorted[Math.ceil(sorted.length * 0.95) - 1];
+  }
+
+  // Every hedgeable request earns `maxRate` of a hedge, up to `burst` saved
+  function earnHedgeBudget(app, hedge) {
+    const tokens = hedgeBudgets.get(app) ?? hedge.burst;
+    hedgeBudgets.set(app, Math.min(hedge.burst, tokens + hedge.maxRate));
+  }
+
+  function spendHedgeBudget(app) {
+    const tokens = hedgeBudgets.get(app) ?? 0;
+    if (tokens < 1) return false;
+    hedgeBudgets.set(app, tokens - 1);
+    return true;
+  }
+
+  // Send the request to `first`, and to `second` as well if `first` hasn't answered
+  // within the hedge delay. Resolves with the { result, origin } of the first success
+  // (the other request is aborted), or of `first` if neither succeeded. Sets
+  // trace.hedged to 'first', 'hedge' or 'failed' when the second request was sent.
+  async function hedgeServers(first, second, request, headers, body, options, hedge) {
+    const controllers = new Map();
+    const send = (origin) => {
+      const controller = new AbortController();
+      controllers.set(origin, controller);
+      return tryServer(origin.host, request, headers, body, { ...options, signal: controller.signal })
+        .then((result) => ({ result: result, origin: origin }));
+    };
+
+    const attempts = [send(first)];
+    const delay = hedge.delay ?? getP95Latency(first.host, hedge.minSamples) ?? hedge.defaultDelay;
+    let timeoutId;
+    const hedgeDue = new Promise((resolve) => {
+      timeoutId = setTimeout(resolve, delay);
+    });
+
+    const early = await Promise.race([attempts[0], hedgeDue.then(() => null)]);
+    clearTimeout(timeoutId);
+    if (early || !spendHedgeBudget(options.trace.app)) {
+      return early || attempts[0];
+    }
+
+    attempts.push(send(second));
+    const winner = await new Promise((resolve) => {
+      let settled = 0;
+      for (const attempt of attempts) {
+        attempt.then((outcome) => {
+          settled++;
+          if (!outcome.result.failure) resolve(outcome);
+          if (settled === attempts.length) resolve(null);
+        });
+      }
+    });
+
+    for (const [origin, controller] of controllers) {
+      if (origin !== winner?.origin) controller.abort();
+    }
+
+    // Wait for the loser to wind down so the trace is complete, and drop its response
+    const outcomes = await Promise.all(attempts);
+    const result = winner || outcomes[0];
+    for (const outcome of outcomes) {
+      if (outcome !== result) outcome.result.response?.body?.cancel();
+    }
+
+    options.trace.hedged = !winner ? 'failed' : (winner.origin === first ? 'first' : 'hedge');
+    return result;
+  }
+
+  return { proxyHttp, recordAttempt };
+}
@@ -0,0 +1,125 @@
+/**
+ * Rate limiting: token buckets per app, rule and client (see RATE_LIMIT in
+ * lib/settings.js), kept in the RateLimiter Durable Object, a Rate Limiting binding or
+ * the isolate itself.
+ */
+import { hashString, logEvent, withDeadline } from './util.js';
+
+export const RATE_LIMIT_KEYS = ['host', 'ip', 'path', 'apiKey'];
+
+// Take one token from a bucket ({ tokens, updatedAt }); returns seconds to wait, 0 if allowed
+function takeToken(bucket, capacity, rate, now) {
+  bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * rate);
+  bucket.updatedAt = now;
+
+  if (bucket.tokens >= 1) {
+    bucket.tokens -= 1;
+    return 0;
+  }
+  return Math.ceil((1 - bucket.tokens) / rate);
+}
+
+// One instance per rate limit bucket (idFromName(app|rule|key))
+export class RateLimiter {
+  constructor() {
+    this.bucket = null;
+  }
+
+  async fetch(request) {
+    const { capacity, rate } = await request.json();
+    if (!this.bucket) {
+      this.bucket = { tokens: capacity, updatedAt: Date.now() };
+    }
+    return Response.json({ retryAfter: takeToken(this.bucket, capacity, rate, Date.now()) });
+  }
+}
+
+// Bucket key for this request under a rule, or null if the rule doesn't apply
+function getRateLimitKey(rule, request, host, pathname) {
+  if (rule.paths && !rule.paths.some((prefix) => pathname.startsWith(prefix))) return null;
+
+  const parts = [];
+  for (const by of rule.by) {
+    let value = null;
+    if (by === 'host') value = host;
+    if (by === 'ip') value = request.headers.get('CF-Connecting-IP');
+    if (by === 'path') value = pathname;
+    if (by === 'apiKey') {
+      const apiKey = request.headers.get(rule.apiKeyHeader || 'X-API-Key');
+      value = apiKey ? hashString(apiKey).toString(16) : null; // Never put keys in bucket names
+    }
+    if (!value) return null;
+    parts.push(value);
+  }
+  return parts.join('|');
+}
+
+// Rate limit state of one load balancer in this isolate
+export function createRateLimiter(settings) {
+  // Local token buckets (fallback) and clients recently rate limited, per isolate
+  const localBuckets = new Map();
+  const offenders = new Map();
+
+  // Seconds until the request may be retried, 0 if it's allowed
+  async function checkRateLimit(env, app, rule, key) {
+    const capacity = rule.burst ?? rule.limit;
+    const rate = rule.limit / rule.period;
+    const name = `${app}|${rule.name}|${key}`;
+
+    if (rule.binding && env?.[rule.binding]) {
+      try {
+        const { success } = await env[rule.binding].limit({ key: name });
+        return success ? 0 : rule.period;
+      } catch (e) {
+        logEvent({ type: 'rate-limiter-error', app: app, rule: rule.name, error: e.message });
+      }
+    } else if (env?.LB_RATE_LIMITER) {
+      try {
+        const stub = env.LB_RATE_LIMITER.get(env.LB_RATE_LIMITER.idFromName(name));
+        const response = await withDeadline(
+          stub.fetch('https://rate-limiter/take', {
+            method: 'POST',
+            body: JSON.stringify({ capacity: capacity, rate: rate })
+          }),
+          settings.rateLimit.timeout,
+          'Rate limiter timed out'
+        );
+        return (await response.json()).retryAfter;
+      } catch (e) {
+        logEvent({ type: 'rate-limiter-error', app: app, rule: rule.name, error: e.message });
+      }
+    }
+
+    if (localBuckets.size >= settings.rateLimit.maxLocalBuckets && !localBuckets.has(name)) {
+      localBuckets.clear();
+    }
+    const bucket = localBuckets.get(name) || { tokens: capacity, updatedAt: Date.now() };
+    localBuckets.set(name, bucket);
+    return takeToken(bucket, capacity, rate, Date.now());
+  }
+
+  // Check every matching rule; returns { rule, retryAfter } for the first one exceeded
+  async function applyRateLimits(request, env, config, trace, pathname) {
+    for (const [i, rule] of (config.rateLimits || []).entries()) {
+      const named = { ...rule, name: rule.name || `rule-${i}` };
+      const key = getRateLimitKey(named, request, trace.host, pathname);
+      if (!key) continue;
+
+      const offenderKey = `${trace.app}|${named.name}|${key}`;
+      if (offenders.get(offenderKey) > Date.now()) {
+        trace.offender = true;
+      } else {
+        offenders.delete(offenderKey);
+      }
+
+      const retryAfter = await checkRateLimit(env, trace.app, named, key);
+      if (retryAfter > 0) {
+        offenders.set(offenderKey, Date.now() + (settings.rateLimit.offenderPenalty * 1000));
+        return { rule: named.name, retryAfter: retryAfter };
+      }
+    }
+    return null;
+  }
+
+  return { applyRateLimits };
+}
@@ -0,0 +1,198 @@
+/**
+ * Routing: the app config serving a hostname, and the route overrides for a path.
+ * The routing table is read from LB_STATE (validated, falling back to the last
+ * known-good copy) or built into the script; custom domains come from DOMAIN_MAPPINGS.
+ */
+import { ROUTING_CACHE_TTL, ROUTING_CONFIG_KEY, ROUTING_LAST_GOOD_KEY } from './settings.js';
+import { validateRoutingConfig } from './validation.js';
+
+const DOMAIN_CACHE_TTL = 300; // Cache domain mappings for 5 minutes
+
+// Route override for the longest matching path prefix ("/api/mt/" or "/api/mt/*")
+export function getRoute(config, pathname) {
+  let match = null;
+  let matchLength = -1;
+
+  for (const route of config.routes || []) {
+    const prefix = route.prefix.replace(/\*$/, '');
+    if (pathname.startsWith(prefix) && prefix.length > matchLength) {
+      match = route;
+      matchLength = prefix.length;
+    }
+  }
+
+  return match || {};
+}
+
+// Every app config in a routing table
+export function getRoutingApps(routing) {
+  return [
+    ...Object.values(routing.apps),
+    ...Object.values(routing.wildcards),
+    ...(routing.default ? [routing.default] : [])
+  ];
+}
+
+function isPassthrough(routing, host) {
+  // Entries may be exact hosts or "*.suffix" wildcards (e.g. *.eqapi.brokervu.com)
+  return routing.passthrough.some((d) =>
+    d.startsWith('*.') ? host.endsWith(d.slice(1)) : d === host);
+}
+
+// Routing state of one load balancer; `defaultRouting` is its built-in table
+export function createRouter(settings, defaultRouting) {
+  // In-memory routing config cache; `lastGood` survives bad publishes
+  const routingCache = { config: null, lastGood: null, expiry: 0 };
+
+  // In-memory domain mapping cache to reduce KV reads
+  const domainCache = new Map();
+
+  // Route timeouts override the app's, which override the load balancer's
+  function getTimeouts(config, route) {
+    return { ...settings.timeouts, ...config.timeouts, ...route.timeouts };
+  }
+
+  // Get cached domain mapping to reduce KV reads
+  async function getCachedDomainMapping(host, env) {
+    const cached = domainCache.get(host);
+    if (cached && Date.now() < cached.expiry) {
+      return cached.value;
+    }
+
+    const value = await env.DOMAIN_MAPPINGS.get(host);
+    domainCache.set(host, {
+      value: value,
+      expiry: Date.now() + (DOMAIN_CACHE_TTL * 1000)
+    });
+    return value;
+  }
+
+  // Last config that passed validation: in memory, then KV, then the built-in table
+  async function getLastGoodRouting(env) {
+    if (routingCache.lastGood) return routingCache.lastGood;
+
+    try {
+      const lastGood = await env.LB_STATE.get(ROUTING_LAST_GOOD_KEY, 'json');
+      if (lastGood && validateRoutingConfig(lastGood).length === 0) {
+        routingCache.lastGood = lastGood;
+        return lastGood;
+      }
+    } catch (e) {
+      // Fall through to the built-in routing table
+    }
+
+    return defaultRouting;
+  }
+
+  // Get the routing table (cached in memory to reduce KV reads)
+  async function getRoutingConfig(env) {
+    if (!env?.LB_STATE) return defaultRouting;
+    if (routingCache.config && Date.now() < routingCache.expiry) {
+      return routingCache.config;
+    }
+
+    let config;
+    try {
+      const published = await env.LB_STATE.get(ROUTING_CONFIG_KEY, 'json');
+      if (!published) {
+        config = defaultRouting;
+      } else {
+        const errors = validateRoutingConfig(published);
+        if (errors.length === 0) {
+          config = published;
+          routingCache.lastGood = published;
+        } else {
+          console.error(JSON.stringify({
+            message: 'Invalid routing config in KV, using last known-good version',
+            version: published.version,
+            errors: errors
+          }));
+          config = await getLastGoodRouting(env);
+        }
+      }
+    } catch (e) {
+      // Unreadable JSON or KV unavailable
+      console.error(JSON.stringify({ message: 'Failed to load routing config', error: e.message }));
+      config = await getLastGoodRouting(env);
+    }
+
+    routingCache.config = config;
+    routingCache.expiry = Date.now() + (ROUTING_CACHE_TTL * 1000);
+    return config;
+  }
+
+  // Persist the current config as last known-good (run from the cron, not per request)
+  async function saveLastGoodRouting(env, routing) {
+    if (!env?.LB_STATE || routing === defaultRouting) return;
+
+    const saved = await env.LB_STATE.get(ROUTING_LAST_GOOD_KEY, 'json');
+    if (saved?.version !== routing.version) {
+      await env.LB_STATE.put(ROUTING_LAST_GOOD_KEY, JSON.stringify(routing));
+    }
+  }
+
+  // Resolve a hostname to its app config and the rule that matched:
+  // passthrough, exact, wildcard, kv or default (config is null if nothing matched)
+  async function resolveRoute(host, env, routing) {
+    // Pass through domains that have their own websites (not handled by this worker)
+    if (isPassthrough(routing, host)) {
+      return { rule: 'passthrough', config: null };
+    }
+
+    // Check exact match first
+    if (routing.apps[host]) {
+      return { rule: 'exact', config: routing.apps[host] };
+    }
+
+    // Check wildcard app types, e.g. terminal broker subdomains (*.tradyn.com like acme.tradyn.com)
+    // and BrokerVu client domains (*.brokervu.com).
+    // Note: root domains like tradyn.com are separate websites, not handled by this worker
+    for (const [appType, config] of Object.entries(routing.wildcards)) {
+      if (host.endsWith('.' + config.domain)) {
+        return { rule: 'wildcard', appType: appType, config: config };
+      }
+    }
+
+    // Check KV for custom domain mappings (for broker custom domains)
+    // Uses in-memory cache to reduce KV reads (caches for 5 minutes)
+    if (env?.DOMAIN_MAPPINGS) {
+      const appType = await getCachedDomainMapping(host, env);
+      if (appType && routing.wildcards[appType]) {
+        return { rule: 'kv', appType: appType, config: routing.wildcards[appType] };
+      }
+    }
+
+    // Single-app workers send every other host to one app
+    if (routing.default) {
+      return { rule: 'default', appType: 'default', config: routing.default };
+    }
+
+    return { rule: null, config: null };
+  }
+
+  // Forget cached domain mappings (every one without `hosts`)
+  function clearDomainCache(hosts) {
+    if (hosts) {
+      hosts.forEach((host) => domainCache.delete(host));
+    } else {
+      domainCache.clear();
+    }
+  }
+
+  function describeDomainCache() {
+    return [...domainCache].map(([host, entry]) => ({
+      host: host,
+      appType: entry.value,
+      expiresAt: new Date(entry.expiry).toISOString()
+    }));
+  }
+
+  return {
+    getRoutingConfig,
+    saveLastGoodRouting,
+    resolveRoute,
+    getTimeouts,
+    clearDomainCache,
+    describeDomainCache
+  };
+}
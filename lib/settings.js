@@ -0,0 +1,319 @@
+/**
+ * Load Balancer Settings
+ *
+ * Defaults for every createLoadBalancer() option (merged with the options by
+ * resolveSettings()), plus the fixed paths, limits and routing table keys.
+ */
+
+// ============================================
+// SETTINGS - defaults, override with createLoadBalancer() options
+// ============================================
+
+// Default timeouts in milliseconds. A dead origin costs users `firstByte`, so keep it
+// short and raise it per route for slow endpoints (e.g. MetaTrader calls).
+const TIMEOUTS = {
+  firstByte: 10000, // Connect + time until the response headers arrive
+  total: 30000      // Whole response, including streaming the body
+};
+
+// Circuit breaker per origin. An origin stops receiving traffic (open) after
+// `consecutiveFailures` failures in a row, or when at least `errorRate` of the
+// requests in the sliding window failed. After `openDuration` a limited number of
+// trial requests are let through (half-open); if they succeed the breaker closes,
+// otherwise it reopens for twice as long (up to `maxOpenDuration`).
+const CIRCUIT_BREAKER = {
+  windowSize: 60,          // Sliding window length in seconds
+  minRequests: 10,         // Requests needed in the window before the error rate counts
+  errorRate: 0.5,          // Open when this fraction of requests in the window failed
+  consecutiveFailures: 3,  // ...or after this many failures in a row
+  openDuration: 10,        // Seconds to stay open the first time
+  backoffMultiplier: 2,    // Open duration multiplier for every failed half-open trial
+  maxOpenDuration: 300,    // Never stay open longer than 5 minutes
+  halfOpenRequests: 3      // Trial requests allowed (and needed to close) while half-open
+};
+
+// Failback after an origin recovers. Health checks must pass `healthyChecks` times in a
+// row before a down origin counts as up again. It then gets `steps` percent of its normal
+// traffic, one step per `stepInterval` seconds (the rest goes to the next origin/tier).
+// If `abortErrorRate` of at least `minRequests` requests fail during the ramp, the
+// origin's circuit opens again and traffic returns to the backup.
+const FAILBACK = {
+  healthyChecks: 3,
+  steps: [10, 50, 100],
+  stepInterval: 60,
+  abortErrorRate: 0.2,
+  minRequests: 5
+};
+
+// Which requests may be replayed to another origin after one was already sent.
+// Connect failures (Cloudflare 52x) are always retried since the origin never saw the
+// request; after a timeout, dropped connection or 5xx a request is only retried if it
+// matches this policy.
+// Apps can override any of these with a `retry` object in their config.
+const RETRY_POLICY = {
+  methods: ['GET', 'HEAD', 'OPTIONS'], // Safe to replay (PUT/DELETE left out: order endpoints)
+  safePaths: [],                       // Path prefixes that are always safe to replay
+  idempotencyKey: true                 // Replay any method carrying an Idempotency-Key header
+};
+
+// Request bodies are streamed to the first origin while a copy is kept for retries.
+// Bodies larger than this (bytes) are streamed without a copy and never retried.
+// Apps and routes can override it with `replayBufferLimit`.
+const REPLAY_BUFFER_LIMIT = 1024 * 1024; // 1 MB
+
+// Request hedging (opt-in per app or route with `hedge: true` or an object overriding
+// these). If the first origin hasn't sent response headers after `delay` ms, the same
+// request also goes to the next origin; the first good response wins and the other
+// request is aborted. Only GET and HEAD requests without a body are hedged. Without a
+// `delay`, the first origin's p95 time to first byte is used (`defaultDelay` until it
+// has answered `minSamples` requests). Each app hedges at most `maxRate` of its
+// hedgeable requests, in bursts of up to `burst`, so a brownout can't double origin load.
+const HEDGE = {
+  delay: null,
+  defaultDelay: 500,
+  minSamples: 20,
+  maxRate: 0.1,
+  burst: 5
+};
+
+// Response checks (per app, in a `responseChecks` array) catch origins that answer
+// without a 5xx but aren't serving the app - a proxy's "no route" 404, a default nginx
+// page, a maintenance page. A response failing any check is treated like a 5xx: the
+// origin is marked down and the request fails over. `paths` limits a check to some paths
+// (exact, or a prefix when ending in "*"):
+//   { status: [421, 429] }                         // these statuses are failures
+//   { status: [404], paths: ['/'] }
+//   { header: 'X-App-Id', value: 'terminal' }       // required header (any value if no `value`)
+//   { bodyMarker: '<meta name="app" content="terminal">' } // required in HTML responses
+// Body markers are looked for in the first BODY_SCAN_LIMIT bytes of text/html responses
+// (override with the `bodyScanLimit` option).
+const BODY_SCAN_LIMIT = 64 * 1024; // 64 KB
+
+// WebSocket handling. By default the upgrade is passed through to the origin. With
+// `proxy: true` the worker terminates the client socket itself and, if the origin
+// socket drops mid-session, transparently reconnects to another origin.
+// Apps can override any of these with a `websocket` object in their config.
+const WEBSOCKET = {
+  proxy: false,             // Terminate client sockets in the worker (enables reconnection)
+  maxReconnects: 5,         // Reconnect attempts per drop before closing the client socket
+  handshake: [],            // Messages sent to the new origin after reconnecting
+  replayClientMessages: 0,  // Also re-send the first N client messages (e.g. auth + subscribe)
+  bufferLimit: 100          // Client messages held while reconnecting
+};
+
+// Stale-on-error cache (opt-in per app with `staleCache: true` or an object overriding
+// these). Successful, publicly cacheable GET responses are kept in the Cache API and
+// served when every origin fails. Responses to requests with an Authorization header,
+// or marked private/no-store, setting cookies or varying on Cookie/Authorization, are
+// never stored. Requests carrying cookies may be logged in, and cookies aren't part of
+// the cache key, so their responses are only stored with `cookies: true`.
+// Note the Cache API is per data center.
+const STALE_CACHE = {
+  maxStale: 86400,   // Seconds a stored copy may be served after it was fetched
+  paths: ['/'],      // Only cache paths starting with one of these prefixes
+  ignoreQuery: [],   // Query params left out of the cache key (true = ignore the whole query)
+  varyHeaders: [],   // Request headers added to the cache key (e.g. Accept-Language)
+  cookies: false     // Also store responses to requests with a Cookie header
+};
+
+// Cloudflare statuses meaning the origin could not be reached (request never delivered)
+export const ORIGIN_UNREACHABLE_STATUSES = [521, 522, 523, 525, 526, 530];
+
+// Smart mode settings (pools with mode: 'smart')
+const SMART = {
+  slowThreshold: 2000, // Response time (ms) above which an origin is considered slow
+  minWeight: 10,        // Minimum weight (never goes below this)
+  maxWeight: 90         // Maximum weight (never goes above this)
+};
+
+// Origin coordinator (opt-in per app with `coordinator: true`, needs the LB_COORDINATOR
+// Durable Object binding in wrangler.toml). Every isolate reports origin failures and
+// successes to one Durable Object per app, which marks an origin down for all isolates
+// once `quorum` isolates saw it failing, and back up for all of them at the same time.
+// Isolates cache its decision briefly and fall back to local circuit breakers if the
+// Durable Object can't be reached.
+export const COORDINATOR = {
+  quorum: 2,            // Isolates that must see an origin failing before it's marked down
+  window: 30,           // Seconds a failure report counts towards the quorum
+  downDuration: 30,     // Seconds an origin stays down; doubles each time it fails again
+  maxDownDuration: 300, // ...up to 5 minutes
+  cacheTtl: 5,          // Seconds isolates reuse the coordinator's decision
+  reportInterval: 5,    // Seconds between success-only reports (failures are sent at once)
+  timeout: 500,         // ms to wait for the Durable Object
+  retryAfter: 30        // Seconds to stay local-only after the Durable Object failed
+};
+
+// Canary / blue-green traffic rules (per app, in a `traffic` object). `pools` defines
+// alternate origin pools (same shape as an app: primary/backup or origins, plus any
+// overrides); `rules` are checked in order and the first match picks the pool. A rule
+// matches when all of its conditions match:
+//   { pool: 'canary', header: { name: 'X-Canary', value: '1' } }
+//   { pool: 'canary', cookie: { name: 'canary' } }          // any value
+//   { pool: 'canary', hosts: ['acme.brokervu.com'] }
+//   { pool: 'canary', percent: 5 }                          // sticky per visitor
+// Visitors are bucketed (0-99) with a long-lived cookie so percentages stay sticky.
+const TRAFFIC = {
+  bucketCookie: '__lb_bucket',
+  bucketMaxAge: 30 * 24 * 3600 // 30 days
+};
+
+// Session affinity (opt-in per app with an `affinity` object overriding these). Keeps a
+// visitor on the same origin in round-robin/weighted/smart/geo pools. The pinned origin
+// is only bypassed when it is unhealthy or a higher-priority tier is back up.
+//   "cookie" - signed cookie naming the origin (needs the AFFINITY_SECRET secret)
+//   "header" - hash of the request header named by `header` (e.g. X-Session-Id)
+//   "ip"     - hash of the client IP
+const AFFINITY = {
+  method: 'cookie',
+  cookieName: '__lb_affinity',
+  maxAge: 3600,  // Cookie lifetime in seconds
+  header: null
+};
+
+// Rate limiting (per app, in a `rateLimits` array). Each rule is a token bucket of
+// `limit` requests per `period` seconds (bursts up to `burst`, default `limit`), keyed by
+// any combination of `by`: "host" (tenant), "ip", "path" and "apiKey" (the header named
+// by `apiKeyHeader`). `paths` limits a rule to some path prefixes. Buckets live in the
+// LB_RATE_LIMITER Durable Object, or in a Rate Limiting binding named by `binding` (whose
+// limit is set in wrangler.toml); without either, each isolate keeps its own buckets.
+// Clients that hit a limit are "offenders" for `offenderPenalty` seconds: their requests
+// still go through when allowed, but don't count towards origin health, so an abusive
+// tenant can't fail an origin over for everyone.
+const RATE_LIMIT = {
+  offenderPenalty: 300,
+  timeout: 200,          // ms to wait for the Durable Object before using local buckets
+  maxLocalBuckets: 10000 // Local buckets kept per isolate before they are reset
+};
+
+// Header policy. Apps can override any part with a `headers` object:
+//   request  - `set`/`append` ({ name: value }) and `remove` ([names]) on requests to origins
+//   response - the same for responses to clients, plus `hsts` (true or
+//              { maxAge, includeSubDomains, preload }) to add Strict-Transport-Security
+//   sign     - add X-LB-Identity-Timestamp and X-LB-Identity-Signature, an HMAC-SHA256 (with
+//              the IDENTITY_HMAC_SECRET secret) of "<timestamp>.<X-Original-Host>.<X-Client-Real-IP>",
+//              so origins can verify the identity headers weren't set by the client
+// Lists replace the defaults below. The identity headers (X-Original-Host, X-Client-Real-IP,
+// X-Real-IP, CF-Connecting-IP) are always set, the client IP is appended to X-Forwarded-For
+// and identity signatures sent by clients are always dropped.
+const HEADER_POLICY = {
+  request: {
+    set: {},
+    append: {},
+    remove: ['Forwarded', 'X-Forwarded-Host']
+  },
+  response: {
+    set: {},
+    append: {},
+    remove: ['Server', 'X-Powered-By'],
+    hsts: null
+  },
+  sign: false
+};
+
+// Geo mode settings. Origins are ranked by distance penalty plus the latency observed
+// from the visitor's colo, so a nearby origin that is much slower loses to a farther one.
+const GEO = {
+  penalty: { colo: 0, continent: 50, remote: 200 }, // ms added by distance to the origin
+  unknownLatency: 100, // ms assumed until a request from this colo reached the origin
+  latencyAlpha: 0.2     // Weight of the newest sample in the per-colo moving average
+};
+
+// Active health checks, run by the Cron Trigger in wrangler.toml.
+// Apps can override any of these with a `healthCheck` object in their config.
+const HEALTH_CHECK = {
+  path: '/health',       // Path probed on every primary/backup server
+  expectedStatus: [200], // Status codes that count as healthy
+  expectedBody: null,    // Optional text the response body must contain
+  timeout: 5000          // Probe timeout in milliseconds
+};
+export const SHARED_HEALTH_TTL = 15;      // Re-read shared health state from KV every 15 seconds
+export const SHARED_HEALTH_MAX_AGE = 180; // Ignore shared health state older than 3 minutes
+
+// Routing table in the LB_STATE KV namespace
+export const ROUTING_CONFIG_KEY = 'config:routing';                 // Published config
+export const ROUTING_LAST_GOOD_KEY = 'config:routing:last-good';    // Last config that passed validation
+export const ROUTING_CACHE_TTL = 60;                                // Re-read routing config every 60 seconds
+
+// Admin API (/__lb/admin). Enable by setting either secret with `wrangler secret put`:
+//   ADMIN_TOKEN        - sent as "Authorization: Bearer <token>"
+//   ADMIN_HMAC_SECRET  - sign requests with X-LB-Timestamp and X-LB-Signature headers
+export const ADMIN_PATH = '/__lb/admin';
+export const ADMIN_SIGNATURE_MAX_AGE = 300; // Reject signed requests older than 5 minutes
+export const AUDIT_LOG_TTL = 90 * 24 * 3600; // Keep audit log entries for 90 days
+
+// Status page (/__lb/status). Accepts STATUS_TOKEN (read-only, as a Bearer token or
+// ?token= for browsers) or the admin credentials above.
+export const STATUS_PATH = '/__lb/status';
+export const MAX_RECENT_EVENTS = 50; // Failover events kept in memory for the status page
+
+// Prometheus metrics (/__lb/metrics), same credentials as the status page.
+// Counters are per isolate: they reset on cold start and each scrape hits one isolate,
+// so use the Analytics Engine dataset (LB_ANALYTICS binding) for fleet-wide numbers.
+export const METRICS_PATH = '/__lb/metrics';
+
+// One JSON line per request on the console (for Logpush / `wrangler tail`):
+// "all", "failures" (failed attempts or 5xx only) or "off"
+const REQUEST_LOGGING = 'all';
+
+// Add X-Served-By (name of the origin that answered) and X-LB-Mode to responses
+const DEBUG_HEADERS = false;
+
+// Outage alerts, sent when the scheduled health checks see an origin go down and when
+// it recovers. Enable any of them with `wrangler secret put`:
+//   ALERT_SLACK_WEBHOOK_URL - Slack incoming webhook (or any Slack-compatible endpoint)
+//   ALERT_WEBHOOK_URL       - generic JSON POST
+//   PAGERDUTY_ROUTING_KEY   - PagerDuty Events API v2 integration key
+// Only the Cron Trigger sends them: circuit breakers are per isolate, so alerting from
+// them would page once per isolate and flap whenever isolates disagree.
+export const PAGERDUTY_EVENTS_URL = 'https://events.pagerduty.com/v2/enqueue';
+
+// Error and maintenance pages. Branding (logo, colors, support contact, page text) is
+// read from LB_STATE under `brand:<host>`, `brand:<app>` and `brand:default`, most
+// specific first, and managed through the admin API. Clients that prefer JSON get an
+// RFC 9457 problem details body instead of HTML.
+const ERROR_PAGES = {
+  retryAfter: 30,  // Retry-After seconds sent with 503s (maintenance can override)
+  brandCacheTtl: 300 // Re-read branding from KV every 5 minutes
+};
+
+// Request headers never shown on the status page
+export const SENSITIVE_HEADERS = [
+  'authorization',
+  'proxy-authorization',
+  'cookie',
+  'x-api-key',
+  'x-lb-signature',
+  'cf-access-jwt-assertion',
+  'cf-access-client-secret'
+];
+
+// Settings for one load balancer: the options given to createLoadBalancer() merged
+// over the defaults above (objects field by field)
+export function resolveSettings(options) {
+  return {
+    timeouts: { ...TIMEOUTS, ...options.timeouts },
+    circuitBreaker: { ...CIRCUIT_BREAKER, ...options.circuitBreaker },
+    failback: { ...FAILBACK, ...options.failback },
+    retry: { ...RETRY_POLICY, ...options.retry },
+    hedge: { ...HEDGE, ...options.hedge },
+    bodyScanLimit: options.bodyScanLimit ?? BODY_SCAN_LIMIT,
+    replayBufferLimit: options.replayBufferLimit ?? REPLAY_BUFFER_LIMIT,
+    websocket: { ...WEBSOCKET, ...options.websocket },
+    staleCache: { ...STALE_CACHE, ...options.staleCache },
+    smart: { ...SMART, ...options.smart },
+    coordinator: { ...COORDINATOR, ...options.coordinator },
+    traffic: { ...TRAFFIC, ...options.traffic },
+    affinity: { ...AFFINITY, ...options.affinity },
+    rateLimit: { ...RATE_LIMIT, ...options.rateLimit },
+    headers: {
+      request: { ...HEADER_POLICY.request, ...options.headers?.request },
+      response: { ...HEADER_POLICY.response, ...options.headers?.response },
+      sign: options.headers?.sign ?? HEADER_POLICY.sign
+    },
+    geo: { ...GEO, ...options.geo },
+    healthCheck: { ...HEALTH_CHECK, ...options.healthCheck },
+    requestLogging: options.requestLogging ?? REQUEST_LOGGING,
+    errorPages: { ...ERROR_PAGES, ...options.errorPages },
+    debugHeaders: options.debugHeaders ?? DEBUG_HEADERS
+  };
+}
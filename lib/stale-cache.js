@@ -0,0 +1,123 @@
+/**
+ * Stale-on-error cache (see STALE_CACHE in lib/settings.js): the last good copy of a GET
+ * is kept in the Cache API and served when every origin fails
+ */
+import { logEvent } from './util.js';
+
+const STALE_CACHE_NAME = 'lb-stale';
+
+// Effective stale cache settings (`defaults` merged with the app's) for this request's
+// path, or null if it isn't cached
+export function getStaleCacheConfig(defaults, config, pathname) {
+  if (!config.staleCache) return null;
+
+  const cacheConfig = { ...defaults, ...(config.staleCache === true ? {} : config.staleCache) };
+  return cacheConfig.paths.some((prefix) => pathname.startsWith(prefix)) ? cacheConfig : null;
+}
+
+// Canary and default pools may serve different content, so each gets its own copies
+function getStaleCacheKey(request, cacheConfig, pool) {
+  const url = new URL(request.url);
+  const key = new URL(url.origin + url.pathname);
+  key.searchParams.append('__lb_pool', pool);
+
+  if (cacheConfig.ignoreQuery !== true) {
+    const params = [...url.searchParams].filter(([name]) => !cacheConfig.ignoreQuery.includes(name));
+    params.sort(([a], [b]) => a.localeCompare(b));
+    for (const [name, value] of params) {
+      key.searchParams.append(name, value);
+    }
+  }
+  for (const header of cacheConfig.varyHeaders) {
+    key.searchParams.append(`__lb_${header.toLowerCase()}`, request.headers.get(header) || '');
+  }
+
+  return key.toString();
+}
+
+function isStaleCacheable(request, response, cacheConfig) {
+  if (request.method !== 'GET' || request.headers.has('Authorization') || response.status !== 200) {
+    return false;
+  }
+  if (request.headers.has('Cookie') && !cacheConfig.cookies) {
+    return false;
+  }
+
+  const cacheControl = (response.headers.get('Cache-Control') || '').toLowerCase();
+  const vary = (response.headers.get('Vary') || '').toLowerCase();
+  return !/\b(private|no-store)\b/.test(cacheControl) &&
+    !response.headers.has('Set-Cookie') &&
+    !/\*|\bcookie\b|\bauthorization\b/.test(vary);
+}
+
+// Keep a copy of a good response. The stored copy is marked cacheable for maxStale so
+// the Cache API keeps it; the origin's own Cache-Control is restored when it's served.
+async function storeStaleCopy(key, response, cacheConfig) {
+  const copy = new Response(response.body, response);
+  // Retry, hedge and buffer flags describe this request, not the ones served from the copy
+  for (const name of [...copy.headers.keys()].filter((name) => name.startsWith('x-lb-'))) {
+    copy.headers.delete(name);
+  }
+  copy.headers.set('X-LB-Cached-At', String(Date.now()));
+  copy.headers.set('X-LB-Original-Cache-Control', response.headers.get('Cache-Control') || '');
+  copy.headers.set('Cache-Control', `public, max-age=${cacheConfig.maxStale}`);
+
+  try {
+    const cache = await caches.open(STALE_CACHE_NAME);
+    await cache.put(key, copy);
+  } catch (e) {
+    logEvent({ type: 'stale-cache-error', key: key, error: e.message });
+  }
+}
+
+async function matchStaleCopy(key, cacheConfig) {
+  const cache = await caches.open(STALE_CACHE_NAME);
+  const cached = await cache.match(key);
+  if (!cached) return null;
+
+  const age = Math.floor((Date.now() - Number(cached.headers.get('X-LB-Cached-At'))) / 1000);
+  if (!(age >= 0 && age <= cacheConfig.maxStale)) {
+    cached.body?.cancel();
+    return null;
+  }
+
+  const response = new Response(cached.body, cached);
+  const originalCacheControl = cached.headers.get('X-LB-Original-Cache-Control');
+  response.headers.delete('X-LB-Cached-At');
+  response.headers.delete('X-LB-Original-Cache-Control');
+  if (originalCacheControl) {
+    response.headers.set('Cache-Control', originalCacheControl);
+  } else {
+    response.headers.delete('Cache-Control');
+  }
+  response.headers.set('Age', String(age));
+  response.headers.set('Warning', '110 - "Response is Stale"');
+  response.headers.set('X-LB-Stale', 'true');
+  return response;
+}
+
+// Store good responses, and answer with the last good copy when every origin failed
+export async function withStaleCache(request, response, cacheConfig, trace, ctx) {
+  const key = getStaleCacheKey(request, cacheConfig, trace.pool);
+
+  if (trace.servedBy && isStaleCacheable(request, response, cacheConfig)) {
+    const copy = response.clone();
+    ctx.waitUntil(storeStaleCopy(key, copy, cacheConfig));
+    return response;
+  }
+
+  if (!trace.servedBy && response.status >= 500 && request.method === 'GET') {
+    try {
+      const stale = await matchStaleCopy(key, cacheConfig);
+      if (stale) {
+        response.body?.cancel();
+        trace.stale = true;
+        return stale;
+      }
+    } catch (e) {
+      logEvent({ type: 'stale-cache-error', key: key, error: e.message });
+    }
+  }
+
+  return response;
+}
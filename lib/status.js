@@ -0,0 +1,120 @@
+/**
+ * Status page (/__lb/status): resolved routing, origin health and recent failovers
+ */
+import { SENSITIVE_HEADERS } from './settings.js';
+import { escapeHtml, jsonResponse, timingSafeEqual } from './util.js';
+import { authenticateAdmin } from './admin.js';
+
+// STATUS_TOKEN (bearer or ?token=), or the admin API credentials
+export async function authenticateStatus(request, env) {
+  const url = new URL(request.url);
+  const auth = request.headers.get('Authorization') || '';
+  const token = auth.startsWith('Bearer ') ? auth.slice(7) : url.searchParams.get('token');
+
+  if (env?.STATUS_TOKEN && token && timingSafeEqual(token, env.STATUS_TOKEN)) {
+    return true;
+  }
+  return env ? (await authenticateAdmin(request, env, '')) !== null : false;
+}
+
+function redactHeaders(headers) {
+  const result = {};
+  for (const [name, value] of headers) {
+    result[name] = SENSITIVE_HEADERS.includes(name.toLowerCase()) ? '[redacted]' : value;
+  }
+  return result;
+}
+
+function renderStatusHtml(status) {
+  const rows = (items, columns) => items.map((item) =>
+    `<tr>${columns.map((c) => `<td>${escapeHtml(typeof item[c] === 'object' && item[c] !== null ? JSON.stringify(item[c]) : item[c])}</td>`).join('')}</tr>`
+  ).join('');
+  const table = (items, columns) => items.length === 0
+    ? '<p>None</p>'
+    : `<table><tr>${columns.map((c) => `<th>${escapeHtml(c)}</th>`).join('')}</tr>${rows(items, columns)}</table>`;
+
+  return `<!DOCTYPE html><html><head><title>Load Balancer Status - ${escapeHtml(status.host)}</title>
+<style>body{font-family:system-ui;margin:2rem;color:#222}table{border-collapse:collapse;margin-bottom:1.5rem}th,td{border:1px solid #ddd;padding:.35rem .6rem;text-align:left;font-size:.9rem}th{background:#f5f5f5}pre{background:#f5f5f5;padding:1rem;overflow:auto}</style>
+</head><body>
+<h1>${escapeHtml(status.host)}</h1>
+<p>Rule: <strong>${escapeHtml(status.routing.rule || 'not configured')}</strong>${status.routing.appType ? ` (${escapeHtml(status.routing.appType)})` : ''}
+ &middot; Routing version ${escapeHtml(status.routing.version)}
+ &middot; Health checks updated ${escapeHtml(status.sharedHealthUpdatedAt || 'never')}</p>
+<h2>Origins${status.pool ? ` (${escapeHtml(status.pool.mode)})` : ''}</h2>
+${table(status.pool ? status.pool.origins : [], ['name', 'host', 'tier', 'markedDown', 'override', 'healthCheck', 'circuit', 'circuitOpenUntil', 'errorRate', 'avgResponseTime', 'failures'])}
+<h2>Recent Events</h2>
+${table(status.recentEvents, ['at', 'type', 'server', 'host', 'failed', 'servedBy'])}
+<h2>Domain Cache</h2>
+${table(status.domainCache, ['host', 'appType', 'expiresAt'])}
+<h2>Resolved Config</h2>
+<pre>${escapeHtml(JSON.stringify(status.routing.config, null, 2))}</pre>
+<h2>Request</h2>
+<pre>${escapeHtml(JSON.stringify(status.request, null, 2))}</pre>
+</body></html>`;
+}
+
+// Status page of one load balancer, showing what this isolate knows
+export function createStatusPage({ router, pools, health }) {
+  const { describeDomainCache, getRoutingConfig, resolveRoute } = router;
+  const { getPool } = pools;
+  const { describeServer, getRecentEvents, getSharedState, loadSharedState } = health;
+
+  function describeOrigin(origin) {
+    return {
+      name: origin.name,
+      host: origin.host,
+      tier: origin.tier,
+      weight: origin.weight,
+      region: origin.region,
+      ...describeServer(origin.host)
+    };
+  }
+
+  async function buildStatus(request, env) {
+    const url = new URL(request.url);
+    const host = (url.searchParams.get('host') || url.hostname).toLowerCase();
+
+    await loadSharedState(env);
+    const routing = await getRoutingConfig(env);
+    const route = await resolveRoute(host, env, routing);
+    const pool = route.config ? getPool(route.config) : null;
+    const { updatedAt } = getSharedState();
+
+    return {
+      host: host,
+      generatedAt: new Date().toISOString(),
+      routing: {
+        version: routing.version,
+        rule: route.rule,
+        appType: route.appType || null,
+        config: route.config
+      },
+      pool: pool ? { mode: pool.mode, origins: pool.origins.map(describeOrigin) } : null,
+      sharedHealthUpdatedAt: updatedAt ? new Date(updatedAt).toISOString() : null,
+      domainCache: describeDomainCache(),
+      recentEvents: getRecentEvents(),
+      request: {
+        cf: request.cf || null,
+        headers: redactHeaders(request.headers)
+      }
+    };
+  }
+
+  // JSON by default, HTML for browsers. Use ?host= to inspect another hostname.
+  async function handleStatus(request, env) {
+    if (!(await authenticateStatus(request, env))) {
+      return jsonResponse({ error: 'Unauthorized' }, 401);
+    }
+
+    const status = await buildStatus(request, env);
+    const accept = request.headers.get('Accept') || '';
+    if (accept.includes('text/html')) {
+      return new Response(renderStatusHtml(status), {
+        headers: { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' }
+      });
+    }
+    return jsonResponse(status);
+  }
+
+  return { handleStatus };
+}
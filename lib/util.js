@@ -0,0 +1,133 @@
+/**
+ * Helpers shared by the load balancer modules
+ */
+
+export function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+export function isPositiveNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+// 32-bit FNV-1a, enough to spread sessions evenly
+export function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+export function getCookie(request, name) {
+  for (const part of (request.headers.get('Cookie') || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) return value.join('=');
+  }
+  return null;
+}
+
+export function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (c) => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[c]);
+}
+
+export function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data, null, 2), {
+    status: status,
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' }
+  });
+}
+
+export function timingSafeEqual(a, b) {
+  const encoder = new TextEncoder();
+  const bufA = encoder.encode(a);
+  const bufB = encoder.encode(b);
+  if (bufA.length !== bufB.length) return false;
+
+  let diff = 0;
+  for (let i = 0; i < bufA.length; i++) {
+    diff |= bufA[i] ^ bufB[i];
+  }
+  return diff === 0;
+}
+
+export async function hmacHex(secret, message) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(message));
+  return [...new Uint8Array(signature)].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+export function logEvent(event) {
+  console.log(JSON.stringify({ timestamp: new Date().toISOString(), ...event }));
+}
+
+// Durable Object calls must never hold a request up for long
+export function withDeadline(promise, ms, message) {
+  let timeoutId;
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timeoutId = setTimeout(() => reject(new Error(message)), ms);
+    })
+  ]).finally(() => clearTimeout(timeoutId));
+}
+
+// `timeouts` is { firstByte, total } in milliseconds. Rejects with a TimeoutError if
+// the headers don't arrive within `firstByte`; a body still streaming after `total`
+// is cut off. `options.signal` aborts the request and its body at any time.
+export async function fetchWithTimeout(url, options, timeouts) {
+  const controller = new AbortController();
+  const startTime = Date.now();
+  let timeoutId;
+
+  // The caller can abort too (e.g. the losing request of a hedge)
+  options.signal?.addEventListener('abort', () => controller.abort());
+
+  // Use Promise.race for more reliable timeout
+  const timeoutPromise = new Promise((_, reject) => {
+    timeoutId = setTimeout(() => {
+      controller.abort();
+      const error = new Error('Request timeout');
+      error.name = 'TimeoutError';
+      reject(error);
+    }, Math.min(timeouts.firstByte, timeouts.total));
+  });
+
+  const fetchPromise = fetch(url, {
+    ...options,
+    signal: controller.signal,
+    cf: {
+      // Cloudflare-specific options for faster connection
+      cacheTtl: 0,
+      cacheEverything: false
+    }
+  });
+
+  let response;
+  try {
+    response = await Promise.race([fetchPromise, timeoutPromise]);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+
+  // WebSocket upgrades and empty bodies have nothing left to time
+  if (!response.body || response.status === 101) {
+    return response;
+  }
+
+  const remaining = Math.max(timeouts.total - (Date.now() - startTime), 0);
+  const totalTimeoutId = setTimeout(() => controller.abort(), remaining);
+  const { readable, writable } = new TransformStream();
+  response.body.pipeTo(writable, { signal: controller.signal }).then(
+    () => clearTimeout(totalTimeoutId),
+    () => clearTimeout(totalTimeoutId)
+  );
+
+  return new Response(readable, response);
+}
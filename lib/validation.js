@@ -0,0 +1,446 @@
+/**
+ * Routing config validation. A routing table published to KV is only used once
+ * validateRoutingConfig() finds no problems (see lib/routing.js).
+ */
+import { isPlainObject, isPositiveNumber } from './util.js';
+import { AFFINITY_METHODS } from './pool.js';
+import { RATE_LIMIT_KEYS } from './rate-limit.js';
+
+const POOL_MODES = ['failover', 'round-robin', 'weighted', 'smart', 'geo'];
+const CONTINENTS = ['AF', 'AN', 'AS', 'EU', 'NA', 'OC', 'SA'];
+
+function validateTimeouts(timeouts, path, errors) {
+  if (timeouts === undefined) return;
+  if (!isPlainObject(timeouts)) {
+    errors.push(`${path}: must be an object`);
+    return;
+  }
+  for (const field of ['firstByte', 'total']) {
+    if (timeouts[field] !== undefined && !isPositiveNumber(timeouts[field])) {
+      errors.push(`${path}.${field}: must be a positive number`);
+    }
+  }
+}
+
+function validateRetryPolicy(retry, path, errors) {
+  if (retry === undefined) return;
+  if (!isPlainObject(retry)) {
+    errors.push(`${path}: must be an object`);
+    return;
+  }
+  for (const field of ['methods', 'safePaths']) {
+    if (retry[field] !== undefined &&
+        !(Array.isArray(retry[field]) && retry[field].every((v) => typeof v === 'string'))) {
+      errors.push(`${path}.${field}: must be an array of strings`);
+    }
+  }
+  if (retry.idempotencyKey !== undefined && typeof retry.idempotencyKey !== 'boolean') {
+    errors.push(`${path}.idempotencyKey: must be a boolean`);
+  }
+}
+
+function validateHedge(hedge, path, errors) {
+  if (hedge === undefined || typeof hedge === 'boolean') return;
+  if (!isPlainObject(hedge)) {
+    errors.push(`${path}: must be a boolean or an object`);
+    return;
+  }
+  for (const field of ['delay', 'defaultDelay', 'burst']) {
+    if (hedge[field] !== undefined && hedge[field] !== null && !isPositiveNumber(hedge[field])) {
+      errors.push(`${path}.${field}: must be a positive number`);
+    }
+  }
+  if (hedge.minSamples !== undefined && !(Number.isInteger(hedge.minSamples) && hedge.minSamples >= 0)) {
+    errors.push(`${path}.minSamples: must be an integer >= 0`);
+  }
+  if (hedge.maxRate !== undefined && !(typeof hedge.maxRate === 'number' && hedge.maxRate >= 0 && hedge.maxRate <= 1)) {
+    errors.push(`${path}.maxRate: must be a number between 0 and 1`);
+  }
+}
+
+function validateReplayBufferLimit(limit, path, errors) {
+  if (limit !== undefined && !(Number.isInteger(limit) && limit >= 0)) {
+    errors.push(`${path}: must be an integer >= 0 (bytes)`);
+  }
+}
+
+function validateRateLimits(rules, path, errors) {
+  if (!Array.isArray(rules)) {
+    errors.push(`${path}: must be an array`);
+    return;
+  }
+
+  rules.forEach((rule, i) => {
+    const rulePath = `${path}[${i}]`;
+    if (!isPlainObject(rule)) {
+      errors.push(`${rulePath}: must be an object`);
+      return;
+    }
+    if (rule.name !== undefined && !(typeof rule.name === 'string' && rule.name)) {
+      errors.push(`${rulePath}.name: must be a non-empty string`);
+    }
+    if (!(Array.isArray(rule.by) && rule.by.length > 0 && rule.by.every((b) => RATE_LIMIT_KEYS.includes(b)))) {
+      errors.push(`${rulePath}.by: must be a non-empty array of ${RATE_LIMIT_KEYS.join(', ')}`);
+    }
+    if (!(Number.isInteger(rule.limit) && rule.limit > 0)) {
+      errors.push(`${rulePath}.limit: must be a positive integer`);
+    }
+    if (!isPositiveNumber(rule.period)) {
+      errors.push(`${rulePath}.period: must be a positive number (seconds)`);
+    }
+    if (rule.burst !== undefined && !(Number.isInteger(rule.burst) && rule.burst > 0)) {
+      errors.push(`${rulePath}.burst: must be a positive integer`);
+    }
+    if (rule.paths !== undefined &&
+        !(Array.isArray(rule.paths) && rule.paths.every((p) => typeof p === 'string' && p.startsWith('/')))) {
+      errors.push(`${rulePath}.paths: must be an array of path prefixes`);
+    }
+    for (const field of ['apiKeyHeader', 'binding']) {
+      if (rule[field] !== undefined && !(typeof rule[field] === 'string' && rule[field])) {
+        errors.push(`${rulePath}.${field}: must be a non-empty string`);
+      }
+    }
+  });
+}
+
+function validateResponseChecks(checks, path, errors) {
+  if (!Array.isArray(checks)) {
+    errors.push(`${path}: must be an array`);
+    return;
+  }
+
+  checks.forEach((check, i) => {
+    const checkPath = `${path}[${i}]`;
+    if (!isPlainObject(check)) {
+      errors.push(`${checkPath}: must be an object`);
+      return;
+    }
+    const kinds = ['status', 'header', 'bodyMarker'].filter((kind) => check[kind] !== undefined);
+    if (kinds.length !== 1) {
+      errors.push(`${checkPath}: must set exactly one of status, header, bodyMarker`);
+    }
+    if (check.status !== undefined &&
+        !(Array.isArray(check.status) && check.status.length > 0 &&
+          check.status.every((s) => Number.isInteger(s) && s >= 100 && s < 500))) {
+      errors.push(`${checkPath}.status: must be a non-empty array of status codes below 500`);
+    }
+    for (const field of ['header', 'bodyMarker']) {
+      if (check[field] !== undefined && !(typeof check[field] === 'string' && check[field])) {
+        errors.push(`${checkPath}.${field}: must be a non-empty string`);
+      }
+    }
+    if (check.value !== undefined && !(check.header !== undefined && typeof check.value === 'string')) {
+      errors.push(`${checkPath}.value: must be a string, used with header`);
+    }
+    if (check.paths !== undefined &&
+        !(Array.isArray(check.paths) && check.paths.every((p) => typeof p === 'string' && p.startsWith('/')))) {
+      errors.push(`${checkPath}.paths: must be an array of paths`);
+    }
+  });
+}
+
+function validateHeaderRules(rules, path, errors) {
+  if (!isPlainObject(rules)) {
+    errors.push(`${path}: must be an object`);
+    return;
+  }
+  for (const field of ['set', 'append']) {
+    if (rules[field] !== undefined &&
+        !(isPlainObject(rules[field]) && Object.values(rules[field]).every((v) => typeof v === 'string'))) {
+      errors.push(`${path}.${field}: must map header names to strings`);
+    }
+  }
+  if (rules.remove !== undefined && !(Array.isArray(rules.remove) && rules.remove.every((h) => typeof h === 'string'))) {
+    errors.push(`${path}.remove: must be an array of header names`);
+  }
+}
+
+function validateHeaderPolicy(policy, path, errors) {
+  if (!isPlainObject(policy)) {
+    errors.push(`${path}: must be an object`);
+    return;
+  }
+  if (policy.request !== undefined) {
+    validateHeaderRules(policy.request, `${path}.request`, errors);
+  }
+  if (policy.response !== undefined) {
+    validateHeaderRules(policy.response, `${path}.response`, errors);
+    const hsts = policy.response?.hsts;
+    if (hsts !== undefined && hsts !== null && hsts !== true && hsts !== false &&
+        !(isPlainObject(hsts) && (hsts.maxAge === undefined || Number.isInteger(hsts.maxAge)))) {
+      errors.push(`${path}.response.hsts: must be true or { maxAge, includeSubDomains, preload }`);
+    }
+  }
+  if (policy.sign !== undefined && typeof policy.sign !== 'boolean') {
+    errors.push(`${path}.sign: must be a boolean`);
+  }
+}
+
+function validateTraffic(traffic, path, errors) {
+  if (!isPlainObject(traffic)) {
+    errors.push(`${path}: must be an object`);
+    return;
+  }
+
+  const pools = traffic.pools || {};
+  if (!isPlainObject(pools)) {
+    errors.push(`${path}.pools: must be an object`);
+  } else {
+    for (const [name, pool] of Object.entries(pools)) {
+      if (name === 'default') {
+        errors.push(`${path}.pools.default: "default" is the app's own pool`);
+      } else if (isPlainObject(pool) && pool.traffic !== undefined) {
+        errors.push(`${path}.pools.${name}.traffic: pools can't have their own traffic rules`);
+      } else {
+        validateAppConfig(pool, `${path}.pools.${name}`, errors);
+      }
+    }
+  }
+
+  if (traffic.rules !== undefined && !Array.isArray(traffic.rules)) {
+    errors.push(`${path}.rules: must be an array`);
+    return;
+  }
+  (traffic.rules || []).forEach((rule, i) => {
+    const rulePath = `${path}.rules[${i}]`;
+    if (!isPlainObject(rule)) {
+      errors.push(`${rulePath}: must be an object`);
+      return;
+    }
+    if (rule.pool !== 'default' && !(isPlainObject(pools) && pools[rule.pool])) {
+      errors.push(`${rulePath}.pool: must be "default" or a pool defined in pools`);
+    }
+    for (const field of ['header', 'cookie']) {
+      const match = rule[field];
+      if (match !== undefined && !(isPlainObject(match) && typeof match.name === 'string' && match.name &&
+          (match.value === undefined || typeof match.value === 'string'))) {
+        errors.push(`${rulePath}.${field}: must be { name, value? } with string values`);
+      }
+    }
+    if (rule.hosts !== undefined && !(Array.isArray(rule.hosts) && rule.hosts.every((h) => typeof h === 'string'))) {
+      errors.push(`${rulePath}.hosts: must be an array of hostnames`);
+    }
+    if (rule.percent !== undefined && !(typeof rule.percent === 'number' && rule.percent >= 0 && rule.percent <= 100)) {
+      errors.push(`${rulePath}.percent: must be a number from 0 to 100`);
+    }
+  });
+}
+
+function validateAppConfig(app, path, errors) {
+  if (!isPlainObject(app)) {
+    errors.push(`${path}: must be an object`);
+    return;
+  }
+
+  if (app.origins !== undefined) {
+    if (!Array.isArray(app.origins) || app.origins.length === 0) {
+      errors.push(`${path}.origins: must be a non-empty array`);
+    } else {
+      app.origins.forEach((origin, i) => {
+        const originPath = `${path}.origins[${i}]`;
+        if (!isPlainObject(origin) || typeof origin.host !== 'string' || !origin.host) {
+          errors.push(`${originPath}.host: must be a non-empty string`);
+          return;
+        }
+        if (origin.name !== undefined && typeof origin.name !== 'string') {
+          errors.push(`${originPath}.name: must be a string`);
+        }
+        if (origin.weight !== undefined && !(typeof origin.weight === 'number' && origin.weight >= 0)) {
+          errors.push(`${originPath}.weight: must be a number >= 0`);
+        }
+        if (origin.tier !== undefined && !(Number.isInteger(origin.tier) && origin.tier >= 1)) {
+          errors.push(`${originPath}.tier: must be an integer >= 1`);
+        }
+        if (origin.region !== undefined && !CONTINENTS.includes(origin.region)) {
+          errors.push(`${originPath}.region: must be one of ${CONTINENTS.join(', ')}`);
+        }
+        if (origin.colos !== undefined &&
+            !(Array.isArray(origin.colos) && origin.colos.every((c) => /^[A-Z]{3}$/.test(c)))) {
+          errors.push(`${originPath}.colos: must be an array of colo codes like "FRA"`);
+        }
+      });
+    }
+  } else {
+    for (const field of ['primary', 'backup']) {
+      if (typeof app[field] !== 'string' || !app[field]) {
+        errors.push(`${path}.${field}: must be a non-empty string (or use origins)`);
+      }
+    }
+  }
+
+  if (app.mode !== undefined && !POOL_MODES.includes(app.mode)) {
+    errors.push(`${path}.mode: must be one of ${POOL_MODES.join(', ')}`);
+  }
+  validateTimeouts(app.timeouts, `${path}.timeouts`, errors);
+
+  if (app.routes !== undefined) {
+    if (!Array.isArray(app.routes)) {
+      errors.push(`${path}.routes: must be an array`);
+    } else {
+      app.routes.forEach((route, i) => {
+        const routePath = `${path}.routes[${i}]`;
+        if (!isPlainObject(route) || typeof route.prefix !== 'string' || !route.prefix.startsWith('/')) {
+          errors.push(`${routePath}.prefix: must be a string starting with /`);
+          return;
+        }
+        validateTimeouts(route.timeouts, `${routePath}.timeouts`, errors);
+        validateRetryPolicy(route.retry, `${routePath}.retry`, errors);
+        validateHedge(route.hedge, `${routePath}.hedge`, errors);
+        validateReplayBufferLimit(route.replayBufferLimit, `${routePath}.replayBufferLimit`, errors);
+      });
+    }
+  }
+
+  validateRetryPolicy(app.retry, `${path}.retry`, errors);
+  validateHedge(app.hedge, `${path}.hedge`, errors);
+  validateReplayBufferLimit(app.replayBufferLimit, `${path}.replayBufferLimit`, errors);
+
+  if (app.websocket !== undefined) {
+    const ws = app.websocket;
+    if (!isPlainObject(ws)) {
+      errors.push(`${path}.websocket: must be an object`);
+    } else {
+      if (ws.proxy !== undefined && typeof ws.proxy !== 'boolean') {
+        errors.push(`${path}.websocket.proxy: must be a boolean`);
+      }
+      for (const field of ['maxReconnects', 'replayClientMessages', 'bufferLimit']) {
+        if (ws[field] !== undefined && !(Number.isInteger(ws[field]) && ws[field] >= 0)) {
+          errors.push(`${path}.websocket.${field}: must be an integer >= 0`);
+        }
+      }
+      if (ws.handshake !== undefined &&
+          !(Array.isArray(ws.handshake) && ws.handshake.every((m) => typeof m === 'string'))) {
+        errors.push(`${path}.websocket.handshake: must be an array of strings`);
+      }
+    }
+  }
+
+  if (app.staleCache !== undefined && typeof app.staleCache !== 'boolean') {
+    const cache = app.staleCache;
+    if (!isPlainObject(cache)) {
+      errors.push(`${path}.staleCache: must be a boolean or an object`);
+    } else {
+      if (cache.maxStale !== undefined && !isPositiveNumber(cache.maxStale)) {
+        errors.push(`${path}.staleCache.maxStale: must be a positive number (seconds)`);
+      }
+      if (cache.paths !== undefined &&
+          !(Array.isArray(cache.paths) && cache.paths.every((p) => typeof p === 'string' && p.startsWith('/')))) {
+        errors.push(`${path}.staleCache.paths: must be an array of path prefixes`);
+      }
+      if (cache.ignoreQuery !== undefined && cache.ignoreQuery !== true &&
+          !(Array.isArray(cache.ignoreQuery) && cache.ignoreQuery.every((p) => typeof p === 'string'))) {
+        errors.push(`${path}.staleCache.ignoreQuery: must be true or an array of query parameter names`);
+      }
+      if (cache.varyHeaders !== undefined &&
+          !(Array.isArray(cache.varyHeaders) && cache.varyHeaders.every((h) => typeof h === 'string'))) {
+        errors.push(`${path}.staleCache.varyHeaders: must be an array of header names`);
+      }
+      if (cache.cookies !== undefined && typeof cache.cookies !== 'boolean') {
+        errors.push(`${path}.staleCache.cookies: must be a boolean`);
+      }
+    }
+  }
+
+  if (app.traffic !== undefined) {
+    validateTraffic(app.traffic, `${path}.traffic`, errors);
+  }
+
+  if (app.headers !== undefined) {
+    validateHeaderPolicy(app.headers, `${path}.headers`, errors);
+  }
+
+  if (app.rateLimits !== undefined) {
+    validateRateLimits(app.rateLimits, `${path}.rateLimits`, errors);
+  }
+
+  if (app.responseChecks !== undefined) {
+    validateResponseChecks(app.responseChecks, `${path}.responseChecks`, errors);
+  }
+
+  if (app.coordinator !== undefined && typeof app.coordinator !== 'boolean') {
+    errors.push(`${path}.coordinator: must be a boolean`);
+  }
+
+  if (app.affinity !== undefined) {
+    const affinity = app.affinity;
+    if (!isPlainObject(affinity)) {
+      errors.push(`${path}.affinity: must be an object`);
+    } else {
+      if (affinity.method !== undefined && !AFFINITY_METHODS.includes(affinity.method)) {
+        errors.push(`${path}.affinity.method: must be one of ${AFFINITY_METHODS.join(', ')}`);
+      }
+      if (affinity.method === 'header' && !(typeof affinity.header === 'string' && affinity.header)) {
+        errors.push(`${path}.affinity.header: required when method is "header"`);
+      }
+      if (affinity.cookieName !== undefined && !(typeof affinity.cookieName === 'string' && /^[\w-]+$/.test(affinity.cookieName))) {
+        errors.push(`${path}.affinity.cookieName: must be a cookie name`);
+      }
+      if (affinity.maxAge !== undefined && !(Number.isInteger(affinity.maxAge) && affinity.maxAge > 0)) {
+        errors.push(`${path}.affinity.maxAge: must be a positive integer (seconds)`);
+      }
+    }
+  }
+
+  if (app.healthCheck !== undefined) {
+    const check = app.healthCheck;
+    if (!isPlainObject(check)) {
+      errors.push(`${path}.healthCheck: must be an object`);
+    } else {
+      if (check.path !== undefined && !(typeof check.path === 'string' && check.path.startsWith('/'))) {
+        errors.push(`${path}.healthCheck.path: must be a string starting with /`);
+      }
+      if (check.expectedStatus !== undefined &&
+          !(Array.isArray(check.expectedStatus) && check.expectedStatus.every(Number.isInteger))) {
+        errors.push(`${path}.healthCheck.expectedStatus: must be an array of status codes`);
+      }
+      if (check.expectedBody !== undefined && check.expectedBody !== null && typeof check.expectedBody !== 'string') {
+        errors.push(`${path}.healthCheck.expectedBody: must be a string or null`);
+      }
+      if (check.timeout !== undefined && !isPositiveNumber(check.timeout)) {
+        errors.push(`${path}.healthCheck.timeout: must be a positive number`);
+      }
+    }
+  }
+}
+
+// Returns a list of problems (empty when the routing config is valid)
+export function validateRoutingConfig(config) {
+  const errors = [];
+
+  if (!isPlainObject(config)) {
+    return ['config: must be a JSON object'];
+  }
+  if (!Number.isInteger(config.version) || config.version < 1) {
+    errors.push('version: must be an integer >= 1');
+  }
+
+  if (!isPlainObject(config.apps)) {
+    errors.push('apps: must be an object keyed by hostname');
+  } else {
+    for (const [host, app] of Object.entries(config.apps)) {
+      validateAppConfig(app, `apps["${host}"]`, errors);
+    }
+  }
+
+  if (!isPlainObject(config.wildcards)) {
+    errors.push('wildcards: must be an object keyed by app type');
+  } else {
+    for (const [appType, app] of Object.entries(config.wildcards)) {
+      const path = `wildcards.${appType}`;
+      validateAppConfig(app, path, errors);
+      if (isPlainObject(app) && (typeof app.domain !== 'string' || !app.domain)) {
+        errors.push(`${path}.domain: must be a non-empty string`);
+      }
+    }
+  }
+
+  if (!Array.isArray(config.passthrough) || !config.passthrough.every((d) => typeof d === 'string')) {
+    errors.push('passthrough: must be an array of hostnames');
+  }
+
+  if (config.default != null) {
+    validateAppConfig(config.default, 'default', errors);
+  }
+
+  return errors;
+}
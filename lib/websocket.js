@@ -0,0 +1,242 @@
+/**
+ * WebSockets: upgrades fail over like HTTP requests. With `proxy: true` (see WEBSOCKET in
+ * lib/settings.js) the worker terminates the client socket and reconnects to another
+ * origin when the origin socket drops.
+ */
+import { fetchWithTimeout, logEvent } from './util.js';
+import { getRoute } from './routing.js';
+import { getLocation, preferPinned } from './pool.js';
+
+// Statuses meaning the request never reached the app (e.g. Traefik's "no route" 404)
+const UNROUTED_STATUSES = [404, 421];
+
+// A 4xx from the app itself, e.g. 401/403 for a client that isn't allowed to connect
+function isUpgradeRejection(status) {
+  return status >= 400 && status < 500 && !UNROUTED_STATUSES.includes(status);
+}
+
+// WebSocket upgrades of one load balancer, sharing its pools and origin health
+export function createWebSocketProxy(settings, { router, pools, health, headers, proxy, pages, metrics }) {
+  const { getTimeouts } = router;
+  const { getAffinity, getPool, selectOrigins } = pools;
+  const { acquireBreakerPermit, isServerDrained, markServerDown, markServerUp, recordEvent } = health;
+  const { buildUpstreamHeaders } = headers;
+  const { recordAttempt } = proxy;
+  const { errorResponse } = pages;
+  const { incrementCounter } = metrics;
+
+  function getWebSocketConfig(config) {
+    return { ...settings.websocket, ...config.websocket };
+  }
+
+  // Open a WebSocket to the first origin that accepts the upgrade, walking the pool like
+  // HTTP requests do (healthy origins in order, then the first origin as a last resort).
+  // `avoid` is only tried after every other origin. Returns { response, origin } where
+  // response is the 101 - or the origin's 4xx if it rejected the upgrade - or null.
+  // Any other answer (a page instead of an upgrade, a routing 404, a 5xx) means the
+  // origin can't serve the socket: it's marked down and the next one is tried.
+  async function connectWebSocketOrigin(request, config, headers, avoid = null, trace = null, affinity = null) {
+    const url = new URL(request.url);
+
+    const pool = getPool(config);
+    const timeouts = getTimeouts(config, getRoute(config, url.pathname));
+    const origins = preferPinned(selectOrigins(pool, getLocation(request)), affinity);
+    const candidates = [
+      ...origins.filter((o) => o.host !== avoid),
+      ...origins.filter((o) => o.host === avoid),
+      { ...pool.first, lastResort: true }
+    ];
+
+    // Requests from rate limit offenders don't count towards origin health
+    const countsForHealth = !trace?.offender;
+
+    for (const origin of candidates) {
+      // Drained servers never get traffic, not even as a last resort
+      if (isServerDrained(origin.host)) continue;
+
+      const originUrl = `https://${origin.host}${url.pathname}${url.search}`;
+      const startTime = Date.now();
+      if (countsForHealth) acquireBreakerPermit(origin.host);
+      try {
+        const response = await fetchWithTimeout(originUrl, { headers: headers }, timeouts);
+
+        // 101, or the origin answered but refused the upgrade (e.g. 401) - like HTTP, pass that on
+        if (response.status === 101 || isUpgradeRejection(response.status)) {
+          if (countsForHealth) markServerUp(origin.host);
+          recordAttempt(trace, origin.host, startTime, response.status, null);
+          return { response: response, origin: origin };
+        }
+
+        response.body?.cancel();
+        if (countsForHealth) markServerDown(origin.host);
+        recordAttempt(trace, origin.host, startTime, response.status, response.status >= 500 ? '5xx' : 'invalid');
+      } catch (e) {
+        if (countsForHealth) markServerDown(origin.host);
+        recordAttempt(trace, origin.host, startTime, null, e.name === 'TimeoutError' ? 'timeout' : 'dropped', e.message);
+      }
+    }
+
+    return null;
+  }
+
+  async function handleWebSocket(request, env, config, originalHost, trace) {
+    const wsConfig = getWebSocketConfig(config);
+    if (wsConfig.proxy) {
+      return proxyWebSocket(request, env, config, originalHost, wsConfig, trace);
+    }
+
+    const affinity = await getAffinity(request, env, config, trace.app);
+    const headers = await buildUpstreamHeaders(request, env, config, originalHost);
+    const result = await connectWebSocketOrigin(request, config, headers, null, trace, affinity);
+    trace.servedBy = result?.origin.host || null;
+    if (!result) {
+      recordEvent('failover', { host: originalHost, failed: getPool(config).origins.map((o) => o.host), servedBy: null });
+      return errorResponse(request, env, trace, 'unavailable');
+    }
+    return result.response;
+  }
+
+  // Terminate the client socket in the worker and relay messages to an origin socket.
+  // If the origin socket drops (anything but a normal 1000 close), reconnect to another
+  // origin, send the configured handshake/replayed messages, then flush buffered messages.
+  async function proxyWebSocket(request, env, config, originalHost, wsConfig, trace) {
+    const affinity = await getAffinity(request, env, config, trace.app);
+    const headers = await buildUpstreamHeaders(request, env, config, originalHost);
+    const first = await connectWebSocketOrigin(request, config, headers, null, trace, affinity);
+    trace.servedBy = first?.origin.host || null;
+    if (!first) {
+      recordEvent('failover', { host: originalHost, failed: getPool(config).origins.map((o) => o.host), servedBy: null });
+      return errorResponse(request, env, trace, 'unavailable');
+    }
+    if (first.response.status !== 101) {
+      return first.response;
+    }
+
+    const pair = new WebSocketPair();
+    const [client, server] = Object.values(pair);
+    server.accept();
+
+    const session = {
+      upstream: null,
+      origin: null,
+      clientClosed: false,
+      reconnecting: false,
+      pending: [],      // Client messages received while reconnecting
+      replay: []        // First N client messages, re-sent after reconnecting
+    };
+
+    const attachUpstream = (socket, origin) => {
+      socket.accept();
+      session.upstream = socket;
+      session.origin = origin;
+
+      socket.addEventListener('message', (event) => {
+        if (!session.clientClosed && socket === session.upstream) {
+          server.send(event.data);
+        }
+      });
+
+      const onDrop = (event) => {
+        if (session.clientClosed || socket !== session.upstream) return;
+
+        // The origin ended the session on purpose - end it for the client too
+        if (event.type === 'close' && event.code === 1000) {
+          server.close(1000, event.reason);
+          return;
+        }
+
+        markServerDown(origin.host);
+        reconnect();
+      };
+      socket.addEventListener('close', onDrop);
+      socket.addEventListener('error', onDrop);
+    };
+
+    const reconnect = async () => {
+      if (session.reconnecting) return;
+      session.reconnecting = true;
+      const failedHost = session.origin.host;
+      session.upstream = null;
+
+      for (let attempt = 0; attempt < wsConfig.maxReconnects && !session.clientClosed; attempt++) {
+        if (attempt > 0) {
+          await new Promise((resolve) => setTimeout(resolve, 250 * Math.pow(2, attempt - 1)));
+        }
+
+        const result = await connectWebSocketOrigin(request, config, headers, failedHost);
+        if (session.clientClosed) {
+          const orphan = result?.response.webSocket;
+          if (orphan) {
+            orphan.accept();
+            orphan.close(1000, 'Client disconnected');
+          }
+          return;
+        }
+        if (!result || result.response.status !== 101) continue;
+
+        const socket = result.response.webSocket;
+        attachUpstream(socket, result.origin);
+        recordEvent('failover', { host: originalHost, failed: [failedHost], servedBy: result.origin.host, websocket: true });
+        incrementCounter('lb_failovers_total', { app: trace.app });
+        logEvent({
+          type: 'websocket-reconnect',
+          host: originalHost,
+          app: trace.app,
+          failedOrigin: failedHost,
+          servedBy: result.origin.host,
+          reconnectAttempts: attempt + 1
+        });
+
+        for (const message of [...wsConfig.handshake, ...session.replay, ...session.pending]) {
+          socket.send(message);
+        }
+        session.pending = [];
+        session.reconnecting = false;
+        return;
+      }
+
+      session.reconnecting = false;
+      if (!session.clientClosed) {
+        server.close(1011, 'Upstream unavailable');
+      }
+    };
+
+    server.addEventListener('message', (event) => {
+      if (session.replay.length < wsConfig.replayClientMessages) {
+        session.replay.push(event.data);
+      }
+
+      if (session.upstream && !session.reconnecting) {
+        session.upstream.send(event.data);
+      } else if (session.pending.length < wsConfig.bufferLimit) {
+        session.pending.push(event.data);
+      } else {
+        server.close(1013, 'Reconnecting, try again later');
+      }
+    });
+
+    const onClientClose = (event) => {
+      session.clientClosed = true;
+      try {
+        session.upstream?.close(event.code === 1005 || !event.code ? 1000 : event.code, event.reason);
+      } catch (e) {
+        // Upstream already closed
+      }
+    };
+    server.addEventListener('close', onClientClose);
+    server.addEventListener('error', onClientClose);
+
+    attachUpstream(first.response.webSocket, first.origin);
+
+    // Keep the subprotocol the origin selected
+    const responseHeaders = new Headers();
+    const protocol = first.response.headers.get('Sec-WebSocket-Protocol');
+    if (protocol) {
+      responseHeaders.set('Sec-WebSocket-Protocol', protocol);
+    }
+
+    return new Response(null, { status: 101, webSocket: client, headers: responseHeaders });
+  }
+
+  return { handleWebSocket };
+}
@@ -4,28 +4,85 @@
  * Use this if you have multiple apps on different domains
  * managed by a single worker.
  *
- * Features:
- * - Fast failover with health caching (instant failover after first timeout)
- * - WebSocket support with failover
- * - Multi-tenant support via X-Original-Host header
+ * This file is the routing table. Failover, health checks, the admin API and every
+ * other feature live in lib/, shared with worker.js and
+ * examples/load-balancer.js. Deploy with `wrangler deploy`.
  */
 
+import { createLoadBalancer } from './lib/core.js';
+
+
 // ============================================
 // CONFIGURATION - Add your apps here
 // ============================================
 
+// These constants are the built-in routing table. Publishing a routing config
+// to KV (see the README) replaces them at runtime without a redeploy. Any app may
+// also set `timeouts` to override the default timeouts, and `routes` to override
+// settings for path prefixes:
+//
+//   timeouts: { firstByte: 5000 },
+//   routes: [
+//     { prefix: '/api/mt/', timeouts: { firstByte: 30000, total: 60000 } },
+//     { prefix: '/static/', timeouts: { firstByte: 3000, total: 10000 } },
+//     { prefix: '/api/quotes/', hedge: { delay: 300 } } // Also ask the backup if slow
+//   ]
+//
+// `responseChecks` fail over from origins that answer but aren't serving the app
+// (see the response checks settings in lib/settings.js):
+//
+//   responseChecks: [
+//     { status: [404], paths: ['/'] },
+//     { header: 'X-App-Id', value: 'terminal' },
+//     { bodyMarker: '<meta name="app" content="terminal">' }
+//   ]
+
+// Each app is either a simple primary/backup pair:
+//
+//   { primary: 'app.primary.equidity.app', backup: 'app.failover.equidity.app' }
+//
+// or a pool of origins. Origins are grouped into priority tiers (lowest first);
+// a tier is only used when every origin in the tiers before it is down.
+// Within a tier, `mode` picks the order:
+//   "failover"    - declared order (default)
+//   "round-robin" - rotates between origins
+//   "weighted"    - random by `weight`
+//   "smart"       - random by `weight`, adjusted for response time and failures
+//   "geo"         - nearest origin to the visitor's Cloudflare colo, using each origin's
+//                   `region` (continent code: AF, AS, EU, NA, OC, SA) and optional `colos`
+//                   list, blended with latency observed from that colo
+//
+//   {
+//     mode: 'weighted',
+//     origins: [
+//       { name: 'eu', host: 'app-eu.primary.equidity.app', weight: 60, tier: 1 },
+//       { name: 'us', host: 'app-us.primary.equidity.app', weight: 40, tier: 1 },
+//       { name: 'dr', host: 'app.failover.equidity.app', tier: 2 }
+//     ]
+//   }
+
+// MetaTrader API calls can take up to 30s - don't fail them over at the default 10s
+const METATRADER_ROUTES = [
+  { prefix: '/api/mt/', timeouts: { firstByte: 30000, total: 60000 } }
+];
+
 const APPS = {
   'terminal.tradyn.com': {
     primary: 'tradyn.primary.equidity.app',
-    backup: 'tradyn.failover.equidity.app'
+    backup: 'tradyn.failover.equidity.app',
+    routes: METATRADER_ROUTES,
+    // A 404 for the app root is Traefik's "no route", not the terminal
+    responseChecks: [{ status: [404], paths: ['/'] }, { status: [421] }]
   },
   'chart-storage.tradyn.com': {
     primary: 'chart-storage.primary.equidity.app',
-    backup: 'chart-storage.failover.equidity.app'
+    backup: 'chart-storage.failover.equidity.app',
+    hedge: true // Race slow chart reads against the backup instead of waiting for the timeout
   },
   'socket.brokervu.com': {
     primary: 'brokervu-socket.primary.equidity.app',
-    backup: 'brokervu-socket.failover.equidity.app'
+    backup: 'brokervu-socket.failover.equidity.app',
+    websocket: { proxy: true } // Reconnect to the other origin if the socket drops mid-session
   },
   // 'api.brokervu.com': {
   //   primary: 'brokervu-api.primary.equidity.app',
@@ -42,14 +99,16 @@ const APPS = {
 const TERMINAL_CONFIG = {
   domain: 'tradyn.com',
   primary: 'tradyn.primary.equidity.app',
-  backup: 'tradyn.failover.equidity.app'
+  backup: 'tradyn.failover.equidity.app',
+  routes: METATRADER_ROUTES
 };
 
 // White-label client config for BrokerVu (*.brokervu.com and custom domains via SaaS)
 const BROKERVU_CONFIG = {
   domain: 'brokervu.com',
   primary: 'brokervu-client.primary.equidity.app',
-  backup: 'brokervu-client.failover.equidity.app'
+  backup: 'brokervu-client.failover.equidity.app',
+  routes: METATRADER_ROUTES
 };
 
 // Domains that should pass through to their origin (not handled by this worker)
@@ -69,284 +128,23 @@ const PASSTHROUGH_DOMAINS = [
   'chart-storage.brokervu.com'
 ];
 
-const TIMEOUT = 30000; // 30 seconds - allows slow API endpoints (MetaTrader calls)
-const HEALTH_CACHE_TTL = 30; // Remember server down status for 30 seconds
-
 // ============================================
-// DO NOT MODIFY BELOW THIS LINE
+// SETTINGS - Optional, defaults in lib/settings.js
 // ============================================
 
-// In-memory health cache (resets on worker cold start)
-const healthCache = new Map();
-
-// In-memory domain mapping cache to reduce KV reads
-const domainCache = new Map();
-const DOMAIN_CACHE_TTL = 300; // Cache domain mappings for 5 minutes
-
-function isServerMarkedDown(server) {
-  const cached = healthCache.get(server);
-  if (!cached) return false;
-
-  // Check if cache expired
-  if (Date.now() > cached.expiry) {
-    healthCache.delete(server);
-    return false;
-  }
-
-  return cached.isDown;
-}
-
-function markServerDown(server) {
-  healthCache.set(server, {
-    isDown: true,
-    expiry: Date.now() + (HEALTH_CACHE_TTL * 1000)
-  });
-}
-
-function markServerUp(server) {
-  healthCache.delete(server);
-}
-
-// Get cached domain mapping to reduce KV reads
-async function getCachedDomainMapping(host, env) {
-  const cached = domainCache.get(host);
-  if (cached && Date.now() < cached.expiry) {
-    return cached.value;
-  }
-
-  const value = await env.DOMAIN_MAPPINGS.get(host);
-  domainCache.set(host, {
-    value: value,
-    expiry: Date.now() + (DOMAIN_CACHE_TTL * 1000)
-  });
-  return value;
-}
-
-async function fetchWithTimeout(url, options, timeout) {
-  const controller = new AbortController();
-
-  // Use Promise.race for more reliable timeout
-  const timeoutPromise = new Promise((_, reject) => {
-    setTimeout(() => {
-      controller.abort();
-      reject(new Error('Request timeout'));
-    }, timeout);
-  });
-
-  const fetchPromise = fetch(url, {
-    ...options,
-    signal: controller.signal,
-    cf: {
-      // Cloudflare-specific options for faster connection
-      cacheTtl: 0,
-      cacheEverything: false
-    }
-  });
-
-  return Promise.race([fetchPromise, timeoutPromise]);
-}
-
-async function tryServer(server, request, originalHost, bodyContent = null, skipHealthCheck = false) {
-  // Skip if server is marked down (instant failover)
-  if (!skipHealthCheck && isServerMarkedDown(server)) {
-    return null;
-  }
-
-  const url = new URL(request.url);
-  const targetUrl = `https://${server}${url.pathname}${url.search}`;
-
-  // Clone headers and add X-Original-Host for tenant detection
-  // Note: Using X-Original-Host instead of X-Forwarded-Host to avoid Traefik interference
-  const headers = new Headers(request.headers);
-  headers.set('X-Original-Host', originalHost);
-
-  // Forward client IP in all common headers for proxy compatibility
-  // X-Client-Real-IP is a custom header that won't be overwritten by Traefik
-  const clientIp = request.headers.get('CF-Connecting-IP') || '';
-  if (clientIp) {
-    headers.set('X-Client-Real-IP', clientIp);
-    headers.set('X-Real-IP', clientIp);
-    headers.set('X-Forwarded-For', clientIp);
-    headers.set('CF-Connecting-IP', clientIp);
-  }
-
-  try {
-    const response = await fetchWithTimeout(
-      targetUrl,
-      {
-        method: request.method,
-        headers: headers,
-        body: bodyContent,
-        redirect: 'manual'
-      },
-      TIMEOUT
-    );
-
-    // Server responded - mark as up
-    markServerUp(server);
-
-    if (response.status < 500) {
-      return response;
-    }
-
-    // 5xx error - mark as down
-    markServerDown(server);
-    return null;
-
-  } catch (e) {
-    // Connection failed or timeout - mark as down
-    markServerDown(server);
-    return null;
-  }
-}
+// Timeouts, circuit breaker, failback, retry policy, health checks and the rest use
+// the defaults documented in lib/settings.js. Override any of them below, e.g.
+//   timeouts: { firstByte: 5000 },
+//   circuitBreaker: { openDuration: 30 }
 
-async function handleWebSocket(request, config, originalHost) {
-  const url = new URL(request.url);
-
-  // Clone headers and add X-Original-Host for tenant detection
-  const headers = new Headers(request.headers);
-  headers.set('X-Original-Host', originalHost);
-
-  // Forward client IP in all common headers for proxy compatibility
-  // X-Client-Real-IP is a custom header that won't be overwritten by Traefik
-  const clientIp = request.headers.get('CF-Connecting-IP') || '';
-  if (clientIp) {
-    headers.set('X-Client-Real-IP', clientIp);
-    headers.set('X-Real-IP', clientIp);
-    headers.set('X-Forwarded-For', clientIp);
-    headers.set('CF-Connecting-IP', clientIp);
-  }
-
-  // Try primary WebSocket server (skip if marked down)
-  if (!isServerMarkedDown(config.primary)) {
-    const primaryUrl = `https://${config.primary}${url.pathname}${url.search}`;
-    try {
-      const response = await fetchWithTimeout(primaryUrl, {
-        headers: headers,
-        body: request.body
-      }, TIMEOUT);
-
-      if (response.status === 101) {
-        markServerUp(config.primary);
-        return response;
-      }
-    } catch (e) {
-      markServerDown(config.primary);
-    }
-  }
-
-  // Try backup WebSocket server
-  const backupUrl = `https://${config.backup}${url.pathname}${url.search}`;
-  try {
-    const response = await fetch(backupUrl, {
-      headers: headers,
-      body: request.body
-    });
-    markServerUp(config.backup);
-    return response;
-  } catch (e) {
-    markServerDown(config.backup);
-    throw e;
-  }
-}
-
-// Get config for hostname (supports exact match, wildcard, and KV lookup)
-async function getConfig(host, env) {
-  // Check exact match first
-  if (APPS[host]) {
-    return APPS[host];
-  }
-
-  // Check if it's a terminal broker subdomain (*.tradyn.com like acme.tradyn.com)
-  // Note: tradyn.com root domain is a separate website, not handled by this worker
-  if (host.endsWith('.' + TERMINAL_CONFIG.domain)) {
-    return TERMINAL_CONFIG;
-  }
-
-  // Check if it's a BrokerVu client domain (*.brokervu.com)
-  if (host.endsWith('.' + BROKERVU_CONFIG.domain)) {
-    return BROKERVU_CONFIG;
-  }
-
-  // Check KV for custom domain mappings (for broker custom domains)
-  // Uses in-memory cache to reduce KV reads (caches for 5 minutes)
-  if (env?.DOMAIN_MAPPINGS) {
-    const appType = await getCachedDomainMapping(host, env);
-    if (appType === 'tradyn') {
-      return TERMINAL_CONFIG;
-    }
-    if (appType === 'brokervu') {
-      return BROKERVU_CONFIG;
-    }
-  }
-
-  return null;
-}
-
-export default {
-  async fetch(request, env) {
-    const url = new URL(request.url);
-    const host = url.hostname;
-
-    // Debug endpoint - visit /__debug to see request.cf properties
-    if (url.pathname === '/__debug') {
-      return new Response(JSON.stringify({
-        host: host,
-        cf: request.cf,
-        headers: Object.fromEntries(request.headers)
-      }, null, 2), {
-        headers: { 'Content-Type': 'application/json' }
-      });
-    }
-
-    // Pass through domains that have their own websites (not handled by this worker).
-    // Entries may be exact hosts or "*.suffix" wildcards (e.g. *.eqapi.brokervu.com).
-    if (PASSTHROUGH_DOMAINS.some((d) =>
-        d.startsWith('*.') ? host.endsWith(d.slice(1)) : d === host)) {
-      return fetch(request);
-    }
-
-    // Get config for this app (exact match, wildcard, or KV lookup)
-    const config = await getConfig(host, env);
-
-    if (!config) {
-      return new Response(
-        '<!DOCTYPE html><html><head><title>Not Found</title></head><body><h1>App Not Configured</h1><p>This domain is not configured in the load balancer.</p></body></html>',
-        {
-          status: 404,
-          headers: { 'Content-Type': 'text/html' }
-        }
-      );
-    }
-
-    // Check for WebSocket upgrade
-    const upgradeHeader = request.headers.get('Upgrade');
-    if (upgradeHeader && upgradeHeader.toLowerCase() === 'websocket') {
-      return handleWebSocket(request, config, host);
-    }
-
-    // Clone request body for potential retry (body stream can only be read once)
-    const bodyContent = request.body ? await request.arrayBuffer() : null;
-
-    // HTTP: Try primary server (pass original host for tenant detection)
-    let response = await tryServer(config.primary, request, host, bodyContent);
-    if (response) return response;
-
-    // HTTP: Try backup server
-    response = await tryServer(config.backup, request, host, bodyContent);
-    if (response) return response;
-
-    // Both servers down - try primary again (in case it just came back)
-    response = await tryServer(config.primary, request, host, bodyContent, true);
-    if (response) return response;
+export default createLoadBalancer({
+  apps: APPS,
+  wildcards: {
+    tradyn: TERMINAL_CONFIG,
+    brokervu: BROKERVU_CONFIG
+  },
+  passthrough: PASSTHROUGH_DOMAINS
+});
 
-    // Both servers failed
-    return new Response(
-      '<!DOCTYPE html><html><head><title>Service Unavailable</title></head><body style="font-family: system-ui; display: flex; justify-content: center; align-items: center; height: 100vh; margin: 0;"><div style="text-align: center;"><h1>Service Temporarily Unavailable</h1><p>We are experiencing technical difficulties. Please try again in a moment.</p></div></body></html>',
-      {
-        status: 503,
-        headers: { 'Content-Type': 'text/html' }
-      }
-    );
-  }
-};
+// Durable Objects for the optional bindings in wrangler.toml
+export { OriginCoordinator, RateLimiter } from './lib/core.js';
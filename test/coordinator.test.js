@@ -0,0 +1,57 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { OriginCoordinator } from '../lib/core.js';
+
+const ORIGIN = 'tradyn.primary.equidity.app';
+
+let coordinator;
+
+beforeEach(() => {
+  vi.useFakeTimers({ toFake: ['Date'] });
+  const stored = new Map();
+  coordinator = new OriginCoordinator({
+    storage: {
+      get: async (key) => stored.get(key),
+      put: async (key, value) => {
+        stored.set(key, value);
+      }
+    }
+  });
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+// One isolate's batch for ORIGIN; resolves to the origin's state after it
+async function report(isolate, failures, successes) {
+  const response = await coordinator.fetch(new Request('https://coordinator/report', {
+    method: 'POST',
+    body: JSON.stringify({ isolate: isolate, servers: { [ORIGIN]: { failures, successes } } })
+  }));
+  return (await response.json()).servers[ORIGIN].state;
+}
+
+describe('OriginCoordinator', () => {
+  it('marks an origin down once a quorum of isolates sees it failing', async () => {
+    expect(await report('a', 3, 0)).toBe('up');
+    expect(await report('b', 2, 1)).toBe('down');
+  });
+
+  it('marks an origin down when busy isolates start failing after a healthy stretch', async () => {
+    for (let i = 0; i < 100; i++) {
+      vi.advanceTimersByTime(5000);
+      await report('a', 0, 1000);
+      await report('b', 0, 1000);
+    }
+
+    vi.advanceTimersByTime(5000);
+    expect(await report('a', 200, 0)).toBe('up');
+    expect(await report('b', 200, 0)).toBe('down');
+  });
+
+  it('takes a recovering isolate out of the quorum', async () => {
+    await report('a', 5, 0);
+    expect(await report('a', 0, 20)).toBe('up');
+    expect(await report('b', 5, 0)).toBe('up');
+  });
+});
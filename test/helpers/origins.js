@@ -0,0 +1,113 @@
+/**
+ * Scriptable mock origins, installed as the global fetch().
+ *
+ *   const origins = createOrigins();
+ *   vi.stubGlobal('fetch', origins.fetch);
+ *   origins.set('app.primary.equidity.app', 502);
+ *
+ * Behaviours per host (default 'ok'):
+ *   'ok'        - 200 with body "<host> <method> <path>"
+ *   'hang'      - never answers; rejects once the caller aborts
+ *   'reset'     - the connection drops (fetch rejects like it does on Workers)
+ *   'websocket' - accepts the upgrade with a 101 and echoes messages back
+ *   { delay }   - like 'ok', but only after `delay` ms (rejects if aborted first)
+ *   <number>    - an empty response with that status (e.g. 502)
+ *   function    - (call) => Response, for anything else
+ */
+export function createOrigins() {
+  const behaviours = new Map();
+  const calls = [];
+  const sockets = [];
+
+  async function originFetch(input, init = {}) {
+    const url = new URL(typeof input === 'string' ? input : input.url);
+    const signal = init.signal || input.signal;
+    const rawBody = 'body' in init ? init.body : input.body;
+
+    const call = {
+      host: url.hostname,
+      path: url.pathname + url.search,
+      method: init.method || input.method || 'GET',
+      headers: new Headers(init.headers || input.headers),
+      body: rawBody ? await new Response(rawBody).text() : null,
+      aborted: false
+    };
+    calls.push(call);
+    signal?.addEventListener('abort', () => {
+      call.aborted = true;
+    });
+
+    const behaviour = behaviours.get(call.host) ?? 'ok';
+
+    if (typeof behaviour === 'function') {
+      return behaviour(call);
+    }
+    if (typeof behaviour === 'number') {
+      return new Response(null, { status: behaviour });
+    }
+    if (typeof behaviour === 'object') {
+      await new Promise((resolve, reject) => {
+        const timeoutId = setTimeout(resolve, behaviour.delay);
+        signal?.addEventListener('abort', () => {
+          clearTimeout(timeoutId);
+          reject(new DOMException('The operation was aborted', 'AbortError'));
+        });
+      });
+      return okResponse(call);
+    }
+
+    switch (behaviour) {
+      case 'hang':
+        return new Promise((_, reject) => {
+          signal?.addEventListener('abort', () => {
+            reject(new DOMException('The operation was aborted', 'AbortError'));
+          });
+        });
+
+      case 'reset':
+        throw new TypeError('Network connection lost.');
+
+      case 'websocket': {
+        const pair = new WebSocketPair();
+        const [client, server] = Object.values(pair);
+        server.accept();
+        server.addEventListener('message', (event) => {
+          if (server.readyState === WebSocket.READY_STATE_OPEN) server.send(`${call.host}: ${event.data}`);
+        });
+        sockets.push({ host: call.host, socket: server });
+        return new Response(null, { status: 101, webSocket: client });
+      }
+
+      case 'ok':
+      default:
+        return okResponse(call);
+    }
+  }
+
+  return {
+    fetch: originFetch,
+    calls: calls,
+    sockets: sockets,
+
+    set(host, behaviour) {
+      behaviours.set(host, behaviour);
+    },
+
+    // Hosts contacted, in order
+    hosts() {
+      return calls.map((c) => c.host);
+    },
+
+    // Forget the calls made so far (behaviours are kept)
+    clear() {
+      calls.length = 0;
+    }
+  };
+}
+
+function okResponse(call) {
+  return new Response(`${call.host} ${call.method} ${call.path}`, {
+    status: 200,
+    headers: { 'Content-Type': 'text/plain' }
+  });
+}
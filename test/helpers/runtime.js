@@ -0,0 +1,39 @@
+/**
+ * Helpers for running the load balancers inside workerd (see vitest.config.js).
+ * WebSocketPair, caches, FixedLengthStream, request.cf and KV are the real runtime's.
+ */
+import { createExecutionContext, env, waitOnExecutionContext } from 'cloudflare:test';
+import { vi } from 'vitest';
+
+// Call a Worker's fetch handler and wait for its waitUntil() tasks
+export async function runFetch(worker, request, workerEnv = {}) {
+  const ctx = createExecutionContext();
+  const response = await worker.fetch(request, workerEnv, ctx);
+  await waitOnExecutionContext(ctx);
+  return response;
+}
+
+// Run a Worker's Cron Trigger handler and wait for its waitUntil() tasks
+export async function runScheduled(worker, workerEnv = {}) {
+  const ctx = createExecutionContext();
+  await worker.scheduled({ cron: '* * * * *', scheduledTime: Date.now() }, workerEnv, ctx);
+  await waitOnExecutionContext(ctx);
+}
+
+// Put entries ({ key: value }, objects stored as JSON) into one of the KV namespaces
+// from vitest.config.js. Storage is reset after every test.
+export async function seedKV(binding, entries = {}) {
+  const kv = env[binding];
+  for (const [key, value] of Object.entries(entries)) {
+    await kv.put(key, typeof value === 'string' ? value : JSON.stringify(value));
+  }
+  return kv;
+}
+
+// workerd's console methods can't be spied on, so the whole console is swapped for
+// mocks (undone by vi.unstubAllGlobals)
+export function silenceConsole() {
+  const stub = { log: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() };
+  vi.stubGlobal('console', stub);
+  return stub;
+}
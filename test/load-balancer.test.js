@@ -0,0 +1,114 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createOrigins } from './helpers/origins.js';
+import { runFetch, silenceConsole } from './helpers/runtime.js';
+
+const PRIMARY = 'yourapp-primary.equidity.app';
+const BACKUP = 'yourapp-failover.equidity.app';
+
+let lb;
+let origins;
+
+beforeEach(async () => {
+  vi.useFakeTimers({ toFake: ['Date', 'setTimeout', 'clearTimeout'] });
+  silenceConsole();
+
+  // Smart mode picks by weighted random - always land on the first healthy server
+  vi.spyOn(Math, 'random').mockReturnValue(0);
+
+  origins = createOrigins();
+  vi.stubGlobal('fetch', origins.fetch);
+
+  vi.resetModules();
+  lb = (await import('../examples/load-balancer.js')).default;
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+async function send(url, init = {}, env = {}) {
+  return runFetch(lb, new Request(url, init), env);
+}
+
+describe('examples/load-balancer.js', () => {
+  it('serves from the selected server and labels the response', async () => {
+    const response = await send('https://app.example.com/');
+    expect(await response.text()).toBe(`${PRIMARY} GET /`);
+    expect(response.headers.get('X-Served-By')).toBe('primary');
+    expect(response.headers.get('X-LB-Mode')).toBe('smart');
+  });
+
+  it.each([
+    ['502', 502],
+    ['connection reset', 'reset']
+  ])('moves to the backup on %s', async (_, behaviour) => {
+    origins.set(PRIMARY, behaviour);
+
+    const response = await send('https://app.example.com/');
+    expect(response.headers.get('X-Served-By')).toBe('backup');
+    expect(origins.hosts()).toEqual([PRIMARY, BACKUP]);
+  });
+
+  it('moves to the backup when the primary hangs', async () => {
+    origins.set(PRIMARY, 'hang');
+
+    const pending = send('https://app.example.com/');
+    await vi.advanceTimersByTimeAsync(5000);
+    const response = await pending;
+    expect(response.headers.get('X-Served-By')).toBe('backup');
+  });
+
+  it('goes primary -> backup -> primary as the circuit opens and resets', async () => {
+    origins.set(PRIMARY, 502);
+    for (let i = 0; i < 3; i++) {
+      await (await send('https://app.example.com/')).text();
+    }
+    origins.clear();
+
+    // Circuit open - the primary is skipped
+    let response = await send('https://app.example.com/');
+    expect(response.headers.get('X-Served-By')).toBe('backup');
+    expect(origins.hosts()).toEqual([BACKUP]);
+
+    // After CIRCUIT_RESET_TIME the recovered primary gets traffic again
+    origins.set(PRIMARY, 'ok');
+    vi.advanceTimersByTime(30000);
+    response = await send('https://app.example.com/');
+    expect(response.headers.get('X-Served-By')).toBe('primary');
+  });
+
+  it('answers 503 when every server fails', async () => {
+    origins.set(PRIMARY, 502);
+    origins.set(BACKUP, 502);
+
+    const response = await send('https://app.example.com/');
+    expect(response.status).toBe(503);
+  });
+
+  it('pins visitors with a signed affinity cookie', async () => {
+    const env = { AFFINITY_SECRET: 'test-secret' };
+    origins.set(PRIMARY, 502);
+
+    let response = await send('https://app.example.com/', {}, env);
+    const cookie = response.headers.get('Set-Cookie').split(';')[0];
+    expect(cookie).toMatch(/^__lb_affinity=backup/);
+
+    // Primary is healthy again, but the visitor stays on the backup
+    origins.set(PRIMARY, 'ok');
+    origins.clear();
+    response = await send('https://app.example.com/', { headers: { Cookie: cookie } }, env);
+    expect(response.headers.get('X-Served-By')).toBe('backup');
+    expect(response.headers.get('Set-Cookie')).toBeNull();
+    expect(origins.hosts()).toEqual([BACKUP]);
+  });
+
+  it('passes WebSocket upgrades through', async () => {
+    origins.set(PRIMARY, 'websocket');
+
+    const response = await send('https://app.example.com/ws', { headers: { Upgrade: 'websocket' } });
+    expect(response.status).toBe(101);
+    expect(response.webSocket).toBeDefined();
+  });
+});
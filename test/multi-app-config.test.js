@@ -0,0 +1,783 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createOrigins } from './helpers/origins.js';
+import { env as bindings } from 'cloudflare:test';
+import { runFetch, runScheduled, seedKV, silenceConsole } from './helpers/runtime.js';
+
+const TERMINAL_PRIMARY = 'tradyn.primary.equidity.app';
+const TERMINAL_BACKUP = 'tradyn.failover.equidity.app';
+const SOCKET_PRIMARY = 'brokervu-socket.primary.equidity.app';
+const SOCKET_BACKUP = 'brokervu-socket.failover.equidity.app';
+const APP_PRIMARY = 'app.primary.equidity.app';
+const APP_BACKUP = 'app.failover.equidity.app';
+
+let lb;
+let origins;
+
+beforeEach(async () => {
+  vi.useFakeTimers({ toFake: ['Date', 'setTimeout', 'clearTimeout'] });
+  silenceConsole();
+
+  origins = createOrigins();
+  vi.stubGlobal('fetch', origins.fetch);
+
+  // Fresh module state (breakers, caches) for every test
+  vi.resetModules();
+  lb = (await import('../multi-app-config.js')).default;
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+async function send(url, init = {}, env = {}) {
+  return runFetch(lb, new Request(url, init), env);
+}
+
+// Serve every host with one app, for settings the shipped config doesn't use
+async function useApp(app) {
+  const { createLoadBalancer } = await import('../lib/core.js');
+  lb = createLoadBalancer({ defaultApp: { primary: APP_PRIMARY, backup: APP_BACKUP, ...app } });
+}
+
+// Send while advancing the fake clock, for origins that hang or answer late
+async function sendAndWait(ms, url, init, env) {
+  const pending = send(url, init, env);
+  await vi.advanceTimersByTimeAsync(ms);
+  return pending;
+}
+
+describe('routing', () => {
+  it('prefers an exact app over a wildcard', async () => {
+    const response = await send('https://admin.brokervu.com/');
+    await response.text();
+    expect(origins.hosts()).toEqual(['brokervu-admin.primary.equidity.app']);
+  });
+
+  it('routes subdomains by wildcard app type', async () => {
+    await (await send('https://acme.tradyn.com/')).text();
+    await (await send('https://acme.brokervu.com/')).text();
+    expect(origins.hosts()).toEqual([TERMINAL_PRIMARY, 'brokervu-client.primary.equidity.app']);
+  });
+
+  it('passes through listed domains before any app match', async () => {
+    const response = await send('https://www.brokervu.com/pricing');
+    expect(await response.text()).toBe('www.brokervu.com GET /pricing');
+    expect(origins.hosts()).toEqual(['www.brokervu.com']);
+  });
+
+  it('matches passthrough wildcards on subdomains only', async () => {
+    await (await send('https://quotes.eqapi.brokervu.com/')).text();
+    await (await send('https://a.b.eqapi.brokervu.com/')).text();
+    await (await send('https://eqapi.brokervu.com/')).text();
+    expect(origins.hosts()).toEqual([
+      'quotes.eqapi.brokervu.com',
+      'a.b.eqapi.brokervu.com',
+      'brokervu-client.primary.equidity.app'
+    ]);
+  });
+
+  it('looks up custom domains in KV after exact and wildcard matches', async () => {
+    const env = {
+      DOMAIN_MAPPINGS: await seedKV('DOMAIN_MAPPINGS', {
+        'trade.acme-broker.com': 'brokervu',
+        'admin.brokervu.com': 'tradyn'
+      })
+    };
+
+    await (await send('https://trade.acme-broker.com/', {}, env)).text();
+    await (await send('https://admin.brokervu.com/', {}, env)).text();
+    expect(origins.hosts()).toEqual([
+      'brokervu-client.primary.equidity.app',
+      'brokervu-admin.primary.equidity.app'
+    ]);
+  });
+
+  it('keeps its routing when another load balancer is created in the same isolate', async () => {
+    await import('../worker.js');
+
+    await (await send('https://terminal.tradyn.com/')).text();
+    const unknown = await send('https://unknown.example.com/');
+    expect(unknown.status).toBe(404);
+    expect(origins.hosts()).toEqual([TERMINAL_PRIMARY]);
+  });
+
+  it('answers 404 without contacting an origin for unknown hosts', async () => {
+    const env = { DOMAIN_MAPPINGS: await seedKV('DOMAIN_MAPPINGS', { 'old.acme-broker.com': 'retired' }) };
+
+    expect((await send('https://unknown.example.com/', {}, env)).status).toBe(404);
+    expect((await send('https://old.acme-broker.com/', {}, env)).status).toBe(404);
+    expect(origins.calls).toHaveLength(0);
+  });
+});
+
+describe('failover', () => {
+  it.each([
+    ['502', 502],
+    ['connection reset', 'reset']
+  ])('moves to the backup on %s', async (_, behaviour) => {
+    origins.set(TERMINAL_PRIMARY, behaviour);
+
+    const response = await send('https://terminal.tradyn.com/chart');
+    expect(response.status).toBe(200);
+    expect(await response.text()).toBe(`${TERMINAL_BACKUP} GET /chart`);
+    expect(response.headers.get('X-LB-Retried')).toBe('true');
+    expect(origins.hosts()).toEqual([TERMINAL_PRIMARY, TERMINAL_BACKUP]);
+  });
+
+  it('moves to the backup when the primary hangs past the first-byte timeout', async () => {
+    origins.set(TERMINAL_PRIMARY, 'hang');
+
+    const response = await sendAndWait(10000, 'https://terminal.tradyn.com/');
+    expect(await response.text()).toBe(`${TERMINAL_BACKUP} GET /`);
+  });
+
+  it('gives MetaTrader calls 30s before failing over', async () => {
+    origins.set(TERMINAL_PRIMARY, { delay: 20000 });
+    origins.set('brokervu-client.primary.equidity.app', { delay: 20000 });
+
+    const terminal = await sendAndWait(20000, 'https://acme.tradyn.com/api/mt/orders', { method: 'POST' });
+    expect(await terminal.text()).toBe(`${TERMINAL_PRIMARY} POST /api/mt/orders`);
+    const client = await sendAndWait(20000, 'https://acme.brokervu.com/api/mt/orders', { method: 'POST' });
+    expect(client.status).toBe(200);
+    expect(origins.hosts()).toEqual([TERMINAL_PRIMARY, 'brokervu-client.primary.equidity.app']);
+  });
+
+  it('passes 4xx responses through without failing over', async () => {
+    origins.set(TERMINAL_PRIMARY, 404);
+
+    const response = await send('https://terminal.tradyn.com/missing');
+    expect(response.status).toBe(404);
+    expect(origins.hosts()).toEqual([TERMINAL_PRIMARY]);
+  });
+
+  it('answers 503 when every origin fails', async () => {
+    origins.set(TERMINAL_PRIMARY, 502);
+    origins.set(TERMINAL_BACKUP, 'reset');
+
+    const response = await send('https://terminal.tradyn.com/', {
+      headers: { Accept: 'application/json' }
+    });
+    expect(response.status).toBe(503);
+    expect(response.headers.get('Content-Type')).toContain('application/problem+json');
+  });
+
+  it('goes primary -> backup -> primary as the circuit opens and recovers', async () => {
+    // Recovered origins take their failback share - always pick them in this test
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+    origins.set(TERMINAL_PRIMARY, 502);
+
+    // Three failures in a row open the primary's circuit
+    for (let i = 0; i < 3; i++) {
+      await (await send('https://terminal.tradyn.com/')).text();
+    }
+    origins.clear();
+
+    // Open: straight to the backup
+    let response = await send('https://terminal.tradyn.com/');
+    expect(await response.text()).toBe(`${TERMINAL_BACKUP} GET /`);
+    expect(origins.hosts()).toEqual([TERMINAL_BACKUP]);
+
+    // Half-open after openDuration: trial requests reach the recovered primary
+    origins.set(TERMINAL_PRIMARY, 'ok');
+    vi.advanceTimersByTime(10000);
+    origins.clear();
+
+    for (let i = 0; i < 4; i++) {
+      response = await send('https://terminal.tradyn.com/');
+      expect(await response.text()).toBe(`${TERMINAL_PRIMARY} GET /`);
+    }
+    expect(origins.hosts()).toEqual(Array(4).fill(TERMINAL_PRIMARY));
+  });
+
+  it('backs off when the half-open trial fails', async () => {
+    origins.set(TERMINAL_PRIMARY, 502);
+    for (let i = 0; i < 3; i++) {
+      await (await send('https://terminal.tradyn.com/')).text();
+    }
+
+    // Trial fails: open again for twice as long
+    vi.advanceTimersByTime(10000);
+    await (await send('https://terminal.tradyn.com/')).text();
+    origins.clear();
+
+    vi.advanceTimersByTime(10000);
+    await (await send('https://terminal.tradyn.com/')).text();
+    expect(origins.hosts()).toEqual([TERMINAL_BACKUP]);
+
+    vi.advanceTimersByTime(10000);
+    origins.clear();
+    await (await send('https://terminal.tradyn.com/')).text();
+    expect(origins.hosts()).toEqual([TERMINAL_PRIMARY, TERMINAL_BACKUP]);
+  });
+});
+
+describe('geo pools', () => {
+  const EU = 'app-eu.primary.equidity.app';
+  const US = 'app-us.primary.equidity.app';
+
+  beforeEach(async () => {
+    await useApp({
+      mode: 'geo',
+      origins: [
+        { name: 'eu', host: EU, region: 'EU', colos: ['FRA', 'AMS'] },
+        { name: 'us', host: US, region: 'NA', colos: ['IAD'] }
+      ]
+    });
+  });
+
+  it.each([
+    ['the colo', { colo: 'IAD', continent: 'NA' }, US],
+    ['the continent', { colo: 'ORD', continent: 'NA' }, US],
+    ['neither (listed order)', { colo: 'SIN', continent: 'AS' }, EU]
+  ])('sends visitors to the origin next to %s', async (_, cf, host) => {
+    await (await send('https://app.example.com/', { cf: cf })).text();
+    expect(origins.hosts()).toEqual([host]);
+  });
+});
+
+describe('response checks', () => {
+  function html(body, headers = {}) {
+    return () => new Response(body, { headers: { 'Content-Type': 'text/html', ...headers } });
+  }
+
+  async function useChecks(responseChecks) {
+    await useApp({ responseChecks: responseChecks });
+  }
+
+  it.each([
+    ['a 404 for the root', '/', 404],
+    ['a 421', '/chart', 421]
+  ])('fails over on %s', async (_, path, status) => {
+    origins.set(TERMINAL_PRIMARY, status);
+
+    const response = await send(`https://terminal.tradyn.com${path}`);
+    expect(await response.text()).toBe(`${TERMINAL_BACKUP} GET ${path}`);
+    expect(origins.hosts()).toEqual([TERMINAL_PRIMARY, TERMINAL_BACKUP]);
+  });
+
+  it('marks the origin down like a 5xx', async () => {
+    origins.set(TERMINAL_PRIMARY, 421);
+
+    for (let i = 0; i < 3; i++) {
+      await (await send('https://terminal.tradyn.com/')).text();
+    }
+    origins.clear();
+    await (await send('https://terminal.tradyn.com/')).text();
+    expect(origins.hosts()).toEqual([TERMINAL_BACKUP]);
+  });
+
+  it('fails over when a required header is missing or wrong', async () => {
+    await useChecks([{ header: 'X-App-Id', value: 'terminal' }]);
+    origins.set(APP_BACKUP, html('terminal', { 'X-App-Id': 'terminal' }));
+
+    origins.set(APP_PRIMARY, html('nginx'));
+    expect(await (await send('https://app.example.com/')).text()).toBe('terminal');
+
+    origins.set(APP_PRIMARY, html('admin', { 'X-App-Id': 'admin' }));
+    expect(await (await send('https://app.example.com/')).text()).toBe('terminal');
+    expect(origins.hosts()).toEqual([APP_PRIMARY, APP_BACKUP, APP_PRIMARY, APP_BACKUP]);
+  });
+
+  it('fails over from HTML pages without the body marker', async () => {
+    await useChecks([{ bodyMarker: 'data-app="terminal"' }]);
+    origins.set(APP_PRIMARY, html('<h1>Welcome to nginx!</h1>'));
+    origins.set(APP_BACKUP, html('<body data-app="terminal">Terminal</body>'));
+
+    const response = await send('https://app.example.com/');
+    expect(await response.text()).toBe('<body data-app="terminal">Terminal</body>');
+    expect(origins.hosts()).toEqual([APP_PRIMARY, APP_BACKUP]);
+  });
+
+  it('passes the whole body on once the marker is found', async () => {
+    await useChecks([{ bodyMarker: 'data-app="terminal"' }]);
+    const page = `<body data-app="terminal">${'x'.repeat(200000)}</body>`;
+    origins.set(APP_PRIMARY, html(page));
+
+    const response = await send('https://app.example.com/');
+    expect(await response.text()).toBe(page);
+    expect(origins.hosts()).toEqual([APP_PRIMARY]);
+  });
+
+  it('only looks for body markers in HTML responses', async () => {
+    await useChecks([{ bodyMarker: 'data-app="terminal"' }]);
+
+    const response = await send('https://app.example.com/api/quotes');
+    expect(await response.text()).toBe(`${APP_PRIMARY} GET /api/quotes`);
+    expect(origins.hosts()).toEqual([APP_PRIMARY]);
+  });
+});
+
+describe('rate limiting', () => {
+  const fromIp = { headers: { 'CF-Connecting-IP': '203.0.113.7' } };
+
+  it('falls back to local buckets when the Rate Limiting binding fails', async () => {
+    await useApp({ rateLimits: [{ by: ['ip'], limit: 2, period: 60, binding: 'RATE_LIMITER' }] });
+    const env = {
+      RATE_LIMITER: {
+        limit: async () => {
+          throw new Error('binding unavailable');
+        }
+      }
+    };
+
+    const statuses = [];
+    for (let i = 0; i < 3; i++) {
+      statuses.push((await send('https://app.example.com/', fromIp, env)).status);
+    }
+    expect(statuses).toEqual([200, 200, 429]);
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('rate-limiter-error'));
+  });
+});
+
+describe('request hedging', () => {
+  const CHARTS = 'https://chart-storage.tradyn.com/charts/1';
+  const CHARTS_PRIMARY = 'chart-storage.primary.equidity.app';
+  const CHARTS_BACKUP = 'chart-storage.failover.equidity.app';
+
+  it('races a slow primary against the backup and aborts the loser', async () => {
+    origins.set(CHARTS_PRIMARY, { delay: 2000 });
+
+    const response = await sendAndWait(500, CHARTS);
+    expect(await response.text()).toBe(`${CHARTS_BACKUP} GET /charts/1`);
+    expect(response.headers.get('X-LB-Hedged')).toBe('hedge');
+    expect(response.headers.get('X-LB-Retried')).toBe('false');
+    expect(origins.calls.map((c) => [c.host, c.aborted])).toEqual([
+      [CHARTS_PRIMARY, true],
+      [CHARTS_BACKUP, false]
+    ]);
+
+    // Losing a hedge isn't a failure - the primary still comes first
+    origins.set(CHARTS_PRIMARY, 'ok');
+    origins.clear();
+    await (await send(CHARTS)).text();
+    expect(origins.hosts()).toEqual([CHARTS_PRIMARY]);
+  });
+
+  it('does not report a lost hedge to the coordinator as a failure', async () => {
+    await useApp({ hedge: true, coordinator: true });
+    const reports = [];
+    const env = {
+      LB_COORDINATOR: {
+        idFromName: (name) => name,
+        get: () => ({
+          fetch: async (url, init) => {
+            if (init?.body) reports.push(JSON.parse(init.body).servers);
+            return Response.json({ servers: {} });
+          }
+        })
+      }
+    };
+    origins.set(APP_PRIMARY, { delay: 2000 });
+
+    const response = await sendAndWait(500, 'https://app.example.com/', {}, env);
+    expect(response.headers.get('X-LB-Hedged')).toBe('hedge');
+
+    // The next request flushes the batch once reportInterval has passed
+    origins.set(APP_PRIMARY, 'ok');
+    vi.advanceTimersByTime(5000);
+    await (await send('https://app.example.com/', {}, env)).text();
+    expect(reports).toEqual([{
+      [APP_BACKUP]: { failures: 0, successes: 1 },
+      [APP_PRIMARY]: { failures: 0, successes: 1 }
+    }]);
+  });
+
+  it('keeps the first response when it arrives before the hedge', async () => {
+    origins.set(CHARTS_PRIMARY, { delay: 700 });
+    origins.set(CHARTS_BACKUP, { delay: 1000 });
+
+    const response = await sendAndWait(700, CHARTS);
+    expect(await response.text()).toBe(`${CHARTS_PRIMARY} GET /charts/1`);
+    expect(response.headers.get('X-LB-Hedged')).toBe('first');
+    expect(origins.calls.map((c) => [c.host, c.aborted])).toEqual([
+      [CHARTS_PRIMARY, false],
+      [CHARTS_BACKUP, true]
+    ]);
+  });
+
+  it('does not hedge fast responses, other methods or apps without hedging', async () => {
+    origins.set(CHARTS_PRIMARY, { delay: 400 });
+    origins.set(TERMINAL_PRIMARY, { delay: 2000 });
+
+    let response = await sendAndWait(400, CHARTS);
+    expect(response.headers.get('X-LB-Hedged')).toBeNull();
+    await response.text();
+
+    origins.set(CHARTS_PRIMARY, { delay: 2000 });
+    await (await sendAndWait(2000, CHARTS, { method: 'PUT', body: '{}' })).text();
+    await (await sendAndWait(2000, 'https://terminal.tradyn.com/')).text();
+    expect(origins.hosts()).toEqual([CHARTS_PRIMARY, CHARTS_PRIMARY, TERMINAL_PRIMARY]);
+  });
+
+  it('waits for the primary\'s p95 latency once it has enough samples', async () => {
+    origins.set(CHARTS_PRIMARY, { delay: 100 });
+    for (let i = 0; i < 20; i++) {
+      await (await sendAndWait(100, CHARTS)).text();
+    }
+    origins.set(CHARTS_PRIMARY, { delay: 2000 });
+    origins.clear();
+
+    const pending = send(CHARTS);
+    await vi.advanceTimersByTimeAsync(99);
+    expect(origins.hosts()).toEqual([CHARTS_PRIMARY]);
+
+    await vi.advanceTimersByTimeAsync(1);
+    const response = await pending;
+    expect(response.headers.get('X-LB-Hedged')).toBe('hedge');
+  });
+
+  it('caps the share of requests that are hedged', async () => {
+    origins.set(CHARTS_PRIMARY, { delay: 2000 });
+
+    const hedged = [];
+    for (let i = 0; i < 8; i++) {
+      const response = await sendAndWait(2000, CHARTS);
+      hedged.push(response.headers.get('X-LB-Hedged'));
+      await response.text();
+    }
+    // A burst of 5, then 10% of requests
+    expect(hedged).toEqual(['hedge', 'hedge', 'hedge', 'hedge', 'hedge', null, null, null]);
+  });
+});
+
+describe('shared health cache', () => {
+  function healthState(healthy, updatedAt = Date.now()) {
+    return {
+      updatedAt: updatedAt,
+      servers: {
+        [TERMINAL_PRIMARY]: { healthy: healthy },
+        [TERMINAL_BACKUP]: { healthy: true }
+      }
+    };
+  }
+
+  it('skips origins the health checks marked down', async () => {
+    const env = { LB_STATE: await seedKV('LB_STATE', { 'health:servers': healthState(false) }) };
+
+    await (await send('https://terminal.tradyn.com/', {}, env)).text();
+    expect(origins.hosts()).toEqual([TERMINAL_BACKUP]);
+  });
+
+  it('re-reads the health state once the cached copy expires', async () => {
+    const env = { LB_STATE: await seedKV('LB_STATE', { 'health:servers': healthState(false) }) };
+    await (await send('https://terminal.tradyn.com/', {}, env)).text();
+
+    // Recovered in KV, but this isolate still has the cached copy
+    await env.LB_STATE.put('health:servers', JSON.stringify(healthState(true)));
+    vi.advanceTimersByTime(14000);
+    await (await send('https://terminal.tradyn.com/', {}, env)).text();
+    expect(origins.hosts()).toEqual([TERMINAL_BACKUP, TERMINAL_BACKUP]);
+
+    vi.advanceTimersByTime(1000);
+    origins.clear();
+    await (await send('https://terminal.tradyn.com/', {}, env)).text();
+    expect(origins.hosts()).toEqual([TERMINAL_PRIMARY]);
+  });
+
+  it('ignores health state the cron stopped updating', async () => {
+    const stale = healthState(false, Date.now() - 181 * 1000);
+    const env = { LB_STATE: await seedKV('LB_STATE', { 'health:servers': stale }) };
+
+    await (await send('https://terminal.tradyn.com/', {}, env)).text();
+    expect(origins.hosts()).toEqual([TERMINAL_PRIMARY]);
+  });
+});
+
+describe('request body replay', () => {
+  const order = JSON.stringify({ symbol: 'EURUSD', volume: 1 });
+
+  it('replays the body to the backup when the origin was unreachable', async () => {
+    origins.set(TERMINAL_PRIMARY, 522);
+
+    const response = await send('https://terminal.tradyn.com/api/orders', { method: 'POST', body: order });
+    expect(response.status).toBe(200);
+    expect(origins.calls.map((c) => [c.host, c.body])).toEqual([
+      [TERMINAL_PRIMARY, order],
+      [TERMINAL_BACKUP, order]
+    ]);
+  });
+
+  it('streams the first attempt at the declared Content-Length', async () => {
+    const lengths = [];
+    vi.stubGlobal('FixedLengthStream', class extends FixedLengthStream {
+      constructor(length) {
+        super(length);
+        lengths.push(length);
+      }
+    });
+    origins.set(TERMINAL_PRIMARY, 522);
+
+    const response = await send('https://terminal.tradyn.com/api/orders', {
+      method: 'POST',
+      headers: { 'Content-Length': String(order.length) },
+      body: order
+    });
+    expect(response.status).toBe(200);
+    expect(lengths).toEqual([order.length]);
+    expect(origins.calls.map((c) => c.body)).toEqual([order, order]);
+  });
+
+  it('replays a POST after a 5xx only with an Idempotency-Key', async () => {
+    origins.set(TERMINAL_PRIMARY, 502);
+
+    const response = await send('https://terminal.tradyn.com/api/orders', {
+      method: 'POST',
+      headers: { 'Idempotency-Key': 'order-1' },
+      body: order
+    });
+    expect(response.status).toBe(200);
+    expect(origins.calls[1]).toMatchObject({ host: TERMINAL_BACKUP, body: order });
+  });
+
+  it('does not replay a POST after the connection drops', async () => {
+    origins.set(TERMINAL_PRIMARY, 'reset');
+
+    const response = await send('https://terminal.tradyn.com/api/orders', {
+      method: 'POST',
+      headers: { Accept: 'application/json' },
+      body: order
+    });
+    expect(response.status).toBe(504);
+    expect(origins.hosts()).toEqual([TERMINAL_PRIMARY]);
+  });
+
+  it('does not replay a POST the origin may have processed', async () => {
+    origins.set(TERMINAL_PRIMARY, 502);
+
+    const response = await send('https://terminal.tradyn.com/api/orders', { method: 'POST', body: order });
+    expect(response.status).toBe(502);
+    expect(response.headers.get('X-LB-Retried')).toBe('false');
+    expect(origins.hosts()).toEqual([TERMINAL_PRIMARY]);
+  });
+});
+
+describe('alerts', () => {
+  const HOOK = 'hooks.example.com';
+  let primaryUp;
+  let env;
+
+  beforeEach(async () => {
+    await useApp({});
+    env = { ...bindings, ALERT_WEBHOOK_URL: `https://${HOOK}/lb` };
+    primaryUp = true;
+    origins.set(APP_PRIMARY, () => new Response(null, { status: primaryUp ? 200 : 502 }));
+  });
+
+  function alertsSent() {
+    return origins.calls.filter((c) => c.host === HOOK).map((c) => JSON.parse(c.body).event);
+  }
+
+  async function runChecks(times) {
+    for (let i = 0; i < times; i++) {
+      vi.advanceTimersByTime(60000);
+      await runScheduled(lb, env);
+    }
+  }
+
+  it('sends one alert per outage and one when the origin recovers', async () => {
+    await runChecks(1);
+    primaryUp = false;
+    await runChecks(3);
+    expect(alertsSent()).toEqual(['origin.down']);
+
+    primaryUp = true;
+    await runChecks(4);
+    expect(alertsSent()).toEqual(['origin.down', 'origin.up']);
+  });
+
+  it('does not alert when an isolate\'s circuit breaker opens or closes', async () => {
+    primaryUp = false;
+    for (let i = 0; i < 5; i++) {
+      await (await send('https://app.example.com/', {}, env)).text();
+    }
+    primaryUp = true;
+    vi.advanceTimersByTime(120000);
+    await (await send('https://app.example.com/', {}, env)).text();
+
+    expect(alertsSent()).toEqual([]);
+  });
+});
+
+describe('branding', () => {
+  it('shows new branding in every isolate once the shared state is re-read', async () => {
+    const env = { ...bindings, ADMIN_TOKEN: 'secret' };
+    await useApp({});
+    const other = lb;
+    await useApp({});
+    origins.set(APP_PRIMARY, 502);
+    origins.set(APP_BACKUP, 502);
+
+    const before = await send('https://app.example.com/', {}, env);
+    expect(await before.text()).not.toContain('Acme Broker');
+
+    const put = await runFetch(other, new Request('https://app.example.com/__lb/admin/brands/default', {
+      method: 'PUT',
+      headers: { Authorization: 'Bearer secret', 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: 'Acme Broker' })
+    }), env);
+    expect(put.status).toBe(200);
+
+    vi.advanceTimersByTime(15000);
+    const after = await send('https://app.example.com/', {}, env);
+    expect(await after.text()).toContain('Acme Broker');
+  });
+});
+
+describe('stale-on-error cache', () => {
+  const failAll = () => {
+    origins.set(APP_PRIMARY, 502);
+    origins.set(APP_BACKUP, 502);
+  };
+
+  it('serves the last good copy when every origin fails', async () => {
+    await useApp({ staleCache: true });
+    await (await send('https://app.example.com/prices?b=2&a=1')).text();
+
+    failAll();
+    vi.advanceTimersByTime(60000);
+    const response = await send('https://app.example.com/prices?a=1&b=2');
+    expect(response.status).toBe(200);
+    expect(response.headers.get('X-LB-Stale')).toBe('true');
+    expect(response.headers.get('Age')).toBe('60');
+    expect(await response.text()).toBe(`${APP_PRIMARY} GET /prices?b=2&a=1`);
+  });
+
+  it('keeps separate copies per traffic pool', async () => {
+    await useApp({
+      staleCache: true,
+      traffic: {
+        pools: { canary: { primary: 'app.canary.equidity.app', backup: 'app.canary-failover.equidity.app' } },
+        rules: [{ pool: 'canary', header: { name: 'X-Canary', value: '1' } }]
+      }
+    });
+    await (await send('https://app.example.com/prices', { headers: { 'X-Canary': '1' } })).text();
+
+    failAll();
+    const response = await send('https://app.example.com/prices');
+    expect(response.status).toBe(503);
+    expect(response.headers.get('X-LB-Stale')).toBeNull();
+  });
+
+  it('does not carry the stored request\'s hedge flag over', async () => {
+    await useApp({ staleCache: true, hedge: true });
+    origins.set(APP_PRIMARY, { delay: 2000 });
+    const hedged = await sendAndWait(500, 'https://app.example.com/prices');
+    expect(hedged.headers.get('X-LB-Hedged')).toBe('hedge');
+    await hedged.text();
+
+    failAll();
+    const response = await send('https://app.example.com/prices');
+    expect(response.headers.get('X-LB-Stale')).toBe('true');
+    expect(response.headers.get('X-LB-Hedged')).toBeNull();
+  });
+
+  it('does not store responses to requests with cookies', async () => {
+    await useApp({ staleCache: true });
+    await (await send('https://app.example.com/account', { headers: { Cookie: 'session=1' } })).text();
+
+    failAll();
+    const response = await send('https://app.example.com/account');
+    expect(response.status).toBe(503);
+    expect(response.headers.get('X-LB-Stale')).toBeNull();
+  });
+
+  it('stores responses to requests with cookies when the app opts in', async () => {
+    await useApp({ staleCache: { cookies: true } });
+    await (await send('https://app.example.com/news', { headers: { Cookie: 'consent=1' } })).text();
+
+    failAll();
+    const response = await send('https://app.example.com/news');
+    expect(response.status).toBe(200);
+    expect(response.headers.get('X-LB-Stale')).toBe('true');
+  });
+});
+
+describe('websockets', () => {
+  const upgrade = { headers: { Upgrade: 'websocket' } };
+
+  it('passes the upgrade through to the primary', async () => {
+    origins.set(TERMINAL_PRIMARY, 'websocket');
+
+    const response = await send('https://terminal.tradyn.com/ws', upgrade);
+    expect(response.status).toBe(101);
+    expect(response.webSocket).toBeDefined();
+    expect(origins.calls[0].headers.get('Upgrade')).toBe('websocket');
+    expect(origins.calls[0].headers.get('X-Original-Host')).toBe('terminal.tradyn.com');
+  });
+
+  it('fails the upgrade over to the backup', async () => {
+    origins.set(TERMINAL_PRIMARY, 502);
+    origins.set(TERMINAL_BACKUP, 'websocket');
+
+    const response = await send('https://terminal.tradyn.com/ws', upgrade);
+    expect(response.status).toBe(101);
+    expect(origins.sockets.map((s) => s.host)).toEqual([TERMINAL_BACKUP]);
+  });
+
+  it.each([
+    ['a page instead of the upgrade', 200],
+    ['a routing 404', 404]
+  ])('fails the upgrade over on %s', async (_, status) => {
+    origins.set(TERMINAL_PRIMARY, status);
+    origins.set(TERMINAL_BACKUP, 'websocket');
+
+    const response = await send('https://terminal.tradyn.com/ws', upgrade);
+    expect(response.status).toBe(101);
+    expect(origins.hosts()).toEqual([TERMINAL_PRIMARY, TERMINAL_BACKUP]);
+  });
+
+  it('passes an upgrade the app refused on to the client', async () => {
+    origins.set(TERMINAL_PRIMARY, 403);
+
+    const response = await send('https://terminal.tradyn.com/ws', upgrade);
+    expect(response.status).toBe(403);
+    expect(origins.hosts()).toEqual([TERMINAL_PRIMARY]);
+  });
+
+  it('passes upgrades for passthrough domains straight to their origin', async () => {
+    origins.set('trade-socket.tradyn.com', 'websocket');
+
+    const response = await send('https://trade-socket.tradyn.com/', upgrade);
+    expect(response.status).toBe(101);
+    expect(origins.hosts()).toEqual(['trade-socket.tradyn.com']);
+  });
+
+  it('answers 503 when no origin accepts the upgrade', async () => {
+    origins.set(TERMINAL_PRIMARY, 502);
+    origins.set(TERMINAL_BACKUP, 'reset');
+
+    const response = await send('https://terminal.tradyn.com/ws', upgrade);
+    expect(response.status).toBe(503);
+  });
+
+  it('reconnects a proxied socket to the backup when the primary drops', async () => {
+    origins.set(SOCKET_PRIMARY, 'websocket');
+    origins.set(SOCKET_BACKUP, 'websocket');
+
+    const response = await send('https://socket.brokervu.com/ws', upgrade);
+    expect(response.status).toBe(101);
+
+    const client = response.webSocket;
+    client.accept();
+    const received = [];
+    client.addEventListener('message', (event) => {
+      received.push(event.data);
+    });
+
+    client.send('subscribe');
+    await vi.advanceTimersByTimeAsync(0);
+    expect(received).toEqual([`${SOCKET_PRIMARY}: subscribe`]);
+
+    // The primary drops mid-session and refuses new connections
+    origins.set(SOCKET_PRIMARY, 'reset');
+    origins.sockets[0].socket.close(1011, 'gone');
+    await vi.advanceTimersByTimeAsync(100);
+
+    client.send('ping');
+    await vi.advanceTimersByTimeAsync(0);
+    expect(received).toEqual([`${SOCKET_PRIMARY}: subscribe`, `${SOCKET_BACKUP}: ping`]);
+    expect(client.readyState).toBe(WebSocket.READY_STATE_OPEN);
+  });
+});
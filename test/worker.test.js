@@ -0,0 +1,128 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createOrigins } from './helpers/origins.js';
+import { runFetch, runScheduled, seedKV, silenceConsole } from './helpers/runtime.js';
+
+const PRIMARY = 'yourapp-primary.equidity.app';
+const BACKUP = 'yourapp-failover.equidity.app';
+
+let worker;
+let origins;
+
+beforeEach(async () => {
+  vi.useFakeTimers({ toFake: ['Date', 'setTimeout', 'clearTimeout'] });
+  silenceConsole();
+  origins = createOrigins();
+  vi.stubGlobal('fetch', origins.fetch);
+
+  vi.resetModules();
+  worker = (await import('../worker.js')).default;
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+function send(url, init = {}, env = {}) {
+  return runFetch(worker, new Request(url, init), env);
+}
+
+describe('worker.js failover', () => {
+  it('serves every host from the primary', async () => {
+    await (await send('https://app.example.com/dashboard?tab=1')).text();
+    await (await send('https://www.example.org/')).text();
+    expect(origins.calls.map((c) => [c.host, c.path, c.headers.get('X-Original-Host')])).toEqual([
+      [PRIMARY, '/dashboard?tab=1', 'app.example.com'],
+      [PRIMARY, '/', 'www.example.org']
+    ]);
+  });
+
+  it.each([
+    ['502', 502],
+    ['connection reset', 'reset']
+  ])('moves to the backup on %s', async (_, behaviour) => {
+    origins.set(PRIMARY, behaviour);
+
+    const response = await send('https://app.example.com/');
+    expect(await response.text()).toBe(`${BACKUP} GET /`);
+    expect(origins.hosts()).toEqual([PRIMARY, BACKUP]);
+  });
+
+  it('moves to the backup when the primary hangs past TIMEOUT', async () => {
+    origins.set(PRIMARY, 'hang');
+
+    const pending = send('https://app.example.com/');
+    await vi.advanceTimersByTimeAsync(5000);
+    const response = await pending;
+    expect(await response.text()).toBe(`${BACKUP} GET /`);
+  });
+
+  it('replays the request body to the backup when the primary is unreachable', async () => {
+    origins.set(PRIMARY, 522);
+    const body = JSON.stringify({ name: 'report' });
+
+    const response = await send('https://app.example.com/api/reports', { method: 'POST', body: body });
+    expect(response.status).toBe(200);
+    expect(origins.calls.map((c) => c.body)).toEqual([body, body]);
+  });
+
+  it('skips the primary while its circuit is open', async () => {
+    origins.set(PRIMARY, 502);
+    for (let i = 0; i < 3; i++) {
+      await (await send('https://app.example.com/')).text();
+    }
+    origins.clear();
+
+    await (await send('https://app.example.com/')).text();
+    expect(origins.hosts()).toEqual([BACKUP]);
+  });
+
+  it('skips a primary the health checks marked down', async () => {
+    const env = {
+      LB_STATE: await seedKV('LB_STATE', {
+        'health:servers': { updatedAt: Date.now(), servers: { [PRIMARY]: { healthy: false } } }
+      })
+    };
+
+    await (await send('https://app.example.com/', {}, env)).text();
+    expect(origins.hosts()).toEqual([BACKUP]);
+  });
+
+  it('applies health check results in its own isolate without LB_STATE', async () => {
+    origins.set(PRIMARY, (call) => new Response(null, { status: call.path === '/health' ? 503 : 200 }));
+
+    await runScheduled(worker);
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('LB_STATE is not bound'));
+    origins.clear();
+
+    await (await send('https://app.example.com/')).text();
+    expect(origins.hosts()).toEqual([BACKUP]);
+  });
+
+  it('passes 4xx responses through without failing over', async () => {
+    origins.set(PRIMARY, 404);
+
+    const response = await send('https://app.example.com/missing');
+    expect(response.status).toBe(404);
+    expect(origins.hosts()).toEqual([PRIMARY]);
+  });
+
+  it('answers 503 when both servers fail', async () => {
+    origins.set(PRIMARY, 502);
+    origins.set(BACKUP, 'reset');
+
+    const response = await send('https://app.example.com/');
+    expect(response.status).toBe(503);
+    expect(response.headers.get('Content-Type')).toContain('text/html');
+  });
+
+  it('passes WebSocket upgrades through', async () => {
+    origins.set(PRIMARY, 'websocket');
+
+    const response = await send('https://app.example.com/ws', { headers: { Upgrade: 'websocket' } });
+    expect(response.status).toBe(101);
+    expect(response.webSocket).toBeDefined();
+    expect(origins.calls[0].headers.get('Upgrade')).toBe('websocket');
+  });
+});
@@ -0,0 +1,17 @@
+import { defineWorkersConfig } from '@cloudflare/vitest-pool-workers/config';
+
+// Tests run inside workerd (the Workers runtime) with real KV, Cache API, WebSocketPair
+// and request.cf. Origins are mocked by stubbing the global fetch (see test/helpers/origins.js).
+export default defineWorkersConfig({
+  test: {
+    include: ['test/**/*.test.js'],
+    poolOptions: {
+      workers: {
+        miniflare: {
+          compatibilityDate: '2024-01-01', // Same as the Wrangler configs
+          kvNamespaces: ['LB_STATE', 'DOMAIN_MAPPINGS']
+        }
+      }
+    }
+  }
+});